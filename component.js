@@ -0,0 +1,115 @@
+import { Element } from "./elements.html.js";
+
+/**
+ * Class representing a reusable component. Subclasses declare the props they
+ * accept and implement template(), which returns the element to render.
+ * Components render the same on the server and the client, but only have a
+ * lifecycle once they are mounted in the browser.
+ */
+export class Component extends Element {
+  /**
+   * The props the component accepts, with their default values.
+   */
+  static props = {};
+
+  /**
+   * Creates an instance of Component.
+   * @param {Object|Array|Element} [params] - The props and slots of the component. An array or element shorthands the default slot.
+   */
+  constructor(params = {}) {
+    super(params);
+
+    if (Array.isArray(params) || params instanceof Element) {
+      params = { children: params };
+    }
+
+    const defaults = this.constructor.props;
+
+    this.props = {};
+    Object.keys(defaults).forEach((name) => {
+      this.props[name] =
+        params[name] !== undefined ? params[name] : defaults[name];
+    });
+
+    // children and child fill the default slot, and the slots object fills
+    // the named slots
+    const toArray = (value) =>
+      value === undefined ? [] : Array.isArray(value) ? value : [value];
+
+    this.slots = {
+      default: [...toArray(params.children), ...toArray(params.child)],
+    };
+    for (let name in params.slots) {
+      this.slots[name] = toArray(params.slots[name]);
+    }
+
+    if (params.key !== undefined) {
+      this.key = params.key;
+    }
+
+    if (params.if !== undefined) {
+      this.if = params.if;
+    }
+
+    this.state = {};
+  }
+
+  /**
+   * Returns the element the component renders.
+   * @returns {Object} The template of the component.
+   */
+  template() {
+    throw new Error(`${this.constructor.name} must implement template()`);
+  }
+
+  /**
+   * Gets the content passed into a slot.
+   * @param {string} [name="default"] - The name of the slot.
+   * @returns {Array} The content of the slot.
+   */
+  slot(name = "default") {
+    return this.slots[name] || [];
+  }
+
+  /**
+   * Updates the local state and re-renders the component.
+   * @param {Object|function(Object): Object} update - The state to merge in, or a function that returns it from the current state.
+   * @returns {void}
+   */
+  setState(update) {
+    this.state = {
+      ...this.state,
+      ...(typeof update === "function" ? update(this.state) : update),
+    };
+    this.update();
+  }
+
+  /**
+   * Re-renders the component, patching the DOM it rendered last time. Does
+   * nothing until the component is mounted.
+   * @returns {void}
+   */
+  update() {
+    if (this.app && this.node) {
+      this.app.updateComponent(this);
+    }
+  }
+
+  /**
+   * Called once the component has been rendered into the DOM.
+   * @returns {void}
+   */
+  onMount() {}
+
+  /**
+   * Called after the component has re-rendered.
+   * @returns {void}
+   */
+  onUpdate() {}
+
+  /**
+   * Called once the component has been removed from the DOM.
+   * @returns {void}
+   */
+  onDestroy() {}
+}
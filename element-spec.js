@@ -0,0 +1,619 @@
+/**
+ * The HTML, SVG and MathML elements html.js provides classes for, and the
+ * attributes each of them accepts. The simple element classes in
+ * elements.html.js are generated from this table - after changing it, run
+ * `node scripts/generate-elements.js`.
+ *
+ * Attributes are space-separated. Elements marked as custom have classes
+ * written by hand, since they do more than set their tag name.
+ */
+
+/**
+ * The attributes every element in a namespace accepts.
+ */
+export const globalAttributes = {
+  html:
+    "accesskey autocapitalize autocorrect autofocus class contenteditable " +
+    "dir draggable enterkeyhint exportparts hidden id inert inputmode is " +
+    "itemid itemprop itemref itemscope itemtype lang nonce part popover " +
+    "role slot spellcheck style tabindex title translate writingsuggestions",
+  svg:
+    "id class style lang tabindex autofocus xml:lang xml:space xml:base " +
+    "requiredExtensions systemLanguage alignment-baseline baseline-shift " +
+    "clip clip-path clip-rule color color-interpolation " +
+    "color-interpolation-filters cursor direction display dominant-baseline " +
+    "fill fill-opacity fill-rule filter flood-color flood-opacity " +
+    "font-family font-size font-size-adjust font-stretch font-style " +
+    "font-variant font-weight image-rendering letter-spacing lighting-color " +
+    "marker-end marker-mid marker-start mask mask-type opacity overflow " +
+    "paint-order pointer-events shape-rendering stop-color stop-opacity " +
+    "stroke stroke-dasharray stroke-dashoffset stroke-linecap " +
+    "stroke-linejoin stroke-miterlimit stroke-opacity stroke-width " +
+    "text-anchor text-decoration text-overflow text-rendering transform " +
+    "transform-origin unicode-bidi vector-effect visibility white-space " +
+    "word-spacing writing-mode",
+  mathml:
+    "autofocus class dir displaystyle id mathbackground mathcolor mathsize " +
+    "nonce scriptlevel style tabindex",
+};
+
+/**
+ * The elements in each namespace. Elements that exist in more than one
+ * namespace share a class.
+ */
+export const elements = {
+  html: [
+    {
+      name: "A",
+      tagName: "a",
+      attributes: "href target download ping rel hreflang type referrerpolicy",
+      custom: true,
+    },
+    { name: "Abbr", tagName: "abbr" },
+    { name: "Address", tagName: "address" },
+    {
+      name: "Area",
+      tagName: "area",
+      attributes:
+        "alt coords shape href target download ping rel referrerpolicy",
+    },
+    { name: "Article", tagName: "article" },
+    { name: "Aside", tagName: "aside" },
+    {
+      name: "Audio",
+      tagName: "audio",
+      attributes: "src crossorigin preload autoplay loop muted controls",
+    },
+    { name: "B", tagName: "b" },
+    { name: "Base", tagName: "base", attributes: "href target" },
+    { name: "Bdi", tagName: "bdi" },
+    { name: "Bdo", tagName: "bdo" },
+    { name: "Blockquote", tagName: "blockquote", attributes: "cite" },
+    { name: "Body", tagName: "body" },
+    { name: "Br", tagName: "br" },
+    {
+      name: "Button",
+      tagName: "button",
+      attributes:
+        "command commandfor disabled form formaction formenctype formmethod " +
+        "formnovalidate formtarget name popovertarget popovertargetaction " +
+        "type value",
+    },
+    { name: "Canvas", tagName: "canvas", attributes: "width height" },
+    { name: "Caption", tagName: "caption" },
+    { name: "Cite", tagName: "cite" },
+    { name: "Code", tagName: "code" },
+    { name: "Col", tagName: "col", attributes: "span" },
+    { name: "Colgroup", tagName: "colgroup", attributes: "span" },
+    { name: "Data", tagName: "data", attributes: "value" },
+    { name: "Datalist", tagName: "datalist" },
+    { name: "Dd", tagName: "dd" },
+    { name: "Del", tagName: "del", attributes: "cite datetime" },
+    { name: "Details", tagName: "details", attributes: "name open" },
+    { name: "Dfn", tagName: "dfn" },
+    { name: "Dialog", tagName: "dialog", attributes: "open closedby" },
+    { name: "Div", tagName: "div" },
+    { name: "Dl", tagName: "dl" },
+    { name: "Dt", tagName: "dt" },
+    { name: "Em", tagName: "em" },
+    { name: "Embed", tagName: "embed", attributes: "src type width height" },
+    { name: "Fieldset", tagName: "fieldset", attributes: "disabled form name" },
+    { name: "Figcaption", tagName: "figcaption" },
+    { name: "Figure", tagName: "figure" },
+    { name: "Footer", tagName: "footer" },
+    {
+      name: "Form",
+      tagName: "form",
+      attributes:
+        "accept-charset action autocomplete enctype method name novalidate " +
+        "rel target",
+      custom: true,
+    },
+    { name: "H1", tagName: "h1" },
+    { name: "H2", tagName: "h2" },
+    { name: "H3", tagName: "h3" },
+    { name: "H4", tagName: "h4" },
+    { name: "H5", tagName: "h5" },
+    { name: "H6", tagName: "h6" },
+    { name: "Head", tagName: "head", custom: true },
+    { name: "Header", tagName: "header" },
+    { name: "Hgroup", tagName: "hgroup", custom: true },
+    { name: "Hr", tagName: "hr" },
+    { name: "Html", tagName: "html" },
+    { name: "I", tagName: "i" },
+    {
+      name: "Iframe",
+      tagName: "iframe",
+      attributes:
+        "allow allowfullscreen height loading name referrerpolicy sandbox " +
+        "src srcdoc width",
+    },
+    {
+      name: "Img",
+      tagName: "img",
+      attributes:
+        "alt crossorigin decoding fetchpriority height ismap loading " +
+        "referrerpolicy sizes src srcset usemap width",
+    },
+    {
+      name: "Input",
+      tagName: "input",
+      attributes:
+        "accept alt autocomplete checked dirname disabled form formaction " +
+        "formenctype formmethod formnovalidate formtarget height list max " +
+        "maxlength min minlength multiple name pattern placeholder " +
+        "popovertarget popovertargetaction readonly required size src step " +
+        "type value width",
+      custom: true,
+    },
+    { name: "Ins", tagName: "ins", attributes: "cite datetime" },
+    { name: "Kbd", tagName: "kbd" },
+    { name: "Label", tagName: "label", attributes: "for" },
+    { name: "Legend", tagName: "legend" },
+    { name: "Li", tagName: "li", attributes: "value" },
+    {
+      name: "Link",
+      tagName: "link",
+      attributes:
+        "as blocking color crossorigin disabled fetchpriority href hreflang " +
+        "imagesizes imagesrcset integrity media referrerpolicy rel sizes " +
+        "type",
+    },
+    { name: "Main", tagName: "main" },
+    { name: "Map", tagName: "map", attributes: "name" },
+    { name: "Mark", tagName: "mark" },
+    { name: "Menu", tagName: "menu" },
+    {
+      name: "Meta",
+      tagName: "meta",
+      attributes: "charset content http-equiv media name property",
+    },
+    {
+      name: "Meter",
+      tagName: "meter",
+      attributes: "high low max min optimum value",
+    },
+    { name: "Nav", tagName: "nav" },
+    { name: "Noscript", tagName: "noscript" },
+    {
+      name: "Object",
+      tagName: "object",
+      attributes: "data form height name type width",
+    },
+    {
+      name: "Ol",
+      tagName: "ol",
+      attributes: "reversed start type",
+      custom: true,
+    },
+    { name: "Optgroup", tagName: "optgroup", attributes: "disabled label" },
+    {
+      name: "Option",
+      tagName: "option",
+      attributes: "disabled label selected value",
+    },
+    { name: "Output", tagName: "output", attributes: "for form name" },
+    { name: "P", tagName: "p" },
+    { name: "Param", tagName: "param", attributes: "name value" },
+    { name: "Picture", tagName: "picture" },
+    { name: "Pre", tagName: "pre" },
+    { name: "Progress", tagName: "progress", attributes: "max value" },
+    { name: "Q", tagName: "q", attributes: "cite" },
+    { name: "Rp", tagName: "rp" },
+    { name: "Rt", tagName: "rt" },
+    { name: "Ruby", tagName: "ruby" },
+    { name: "S", tagName: "s" },
+    { name: "Samp", tagName: "samp" },
+    {
+      name: "Script",
+      tagName: "script",
+      attributes:
+        "async blocking crossorigin defer fetchpriority integrity nomodule " +
+        "referrerpolicy src type",
+      custom: true,
+    },
+    { name: "Search", tagName: "search" },
+    { name: "Section", tagName: "section" },
+    {
+      name: "Select",
+      tagName: "select",
+      attributes: "autocomplete disabled form multiple name required size",
+    },
+    { name: "Slot", tagName: "slot", attributes: "name" },
+    { name: "Small", tagName: "small" },
+    {
+      name: "Source",
+      tagName: "source",
+      attributes: "height media sizes src srcset type width",
+    },
+    { name: "Span", tagName: "span" },
+    { name: "Strong", tagName: "strong" },
+    { name: "Style", tagName: "style", attributes: "blocking media" },
+    { name: "Sub", tagName: "sub" },
+    { name: "Summary", tagName: "summary" },
+    { name: "Sup", tagName: "sup" },
+    { name: "Table", tagName: "table" },
+    { name: "TBody", tagName: "tbody" },
+    { name: "Td", tagName: "td", attributes: "colspan headers rowspan" },
+    {
+      name: "Template",
+      tagName: "template",
+      attributes:
+        "shadowrootclonable shadowrootdelegatesfocus shadowrootmode " +
+        "shadowrootserializable",
+    },
+    {
+      name: "Textarea",
+      tagName: "textarea",
+      attributes:
+        "autocomplete cols dirname disabled form maxlength minlength name " +
+        "placeholder readonly required rows wrap",
+    },
+    { name: "Tfoot", tagName: "tfoot" },
+    {
+      name: "Th",
+      tagName: "th",
+      attributes: "abbr colspan headers rowspan scope",
+    },
+    { name: "THead", tagName: "thead" },
+    { name: "Time", tagName: "time", attributes: "datetime" },
+    { name: "Title", tagName: "title" },
+    { name: "Tr", tagName: "tr" },
+    {
+      name: "Track",
+      tagName: "track",
+      attributes: "default kind label src srclang",
+    },
+    { name: "U", tagName: "u" },
+    { name: "Ul", tagName: "ul", custom: true },
+    { name: "Var", tagName: "var" },
+    {
+      name: "Video",
+      tagName: "video",
+      attributes:
+        "autoplay controls crossorigin height loop muted playsinline poster " +
+        "preload src width",
+    },
+    { name: "Wbr", tagName: "wbr" },
+  ],
+  svg: [
+    {
+      name: "A",
+      tagName: "a",
+      attributes:
+        "href target download ping rel hreflang type referrerpolicy " +
+        "xlink:href",
+    },
+    {
+      name: "Animate",
+      tagName: "animate",
+      attributes:
+        "attributeName begin dur end min max restart repeatCount repeatDur " +
+        "fill href xlink:href calcMode values keyTimes keySplines from to " +
+        "by additive accumulate",
+    },
+    {
+      name: "AnimateMotion",
+      tagName: "animateMotion",
+      attributes:
+        "attributeName begin dur end min max restart repeatCount repeatDur " +
+        "fill href xlink:href calcMode values keyTimes keySplines from to " +
+        "by additive accumulate path keyPoints rotate origin",
+    },
+    {
+      name: "AnimateTransform",
+      tagName: "animateTransform",
+      attributes:
+        "attributeName begin dur end min max restart repeatCount repeatDur " +
+        "fill href xlink:href calcMode values keyTimes keySplines from to " +
+        "by additive accumulate type",
+    },
+    { name: "Circle", tagName: "circle", attributes: "cx cy r pathLength" },
+    { name: "ClipPath", tagName: "clipPath", attributes: "clipPathUnits" },
+    { name: "Defs", tagName: "defs" },
+    { name: "Desc", tagName: "desc" },
+    {
+      name: "Ellipse",
+      tagName: "ellipse",
+      attributes: "cx cy rx ry pathLength",
+    },
+    {
+      name: "FeBlend",
+      tagName: "feBlend",
+      attributes: "x y width height result in in2 mode",
+    },
+    {
+      name: "FeColorMatrix",
+      tagName: "feColorMatrix",
+      attributes: "x y width height result in type values",
+    },
+    {
+      name: "FeComponentTransfer",
+      tagName: "feComponentTransfer",
+      attributes: "x y width height result in",
+    },
+    {
+      name: "FeComposite",
+      tagName: "feComposite",
+      attributes: "x y width height result in in2 operator k1 k2 k3 k4",
+    },
+    {
+      name: "FeConvolveMatrix",
+      tagName: "feConvolveMatrix",
+      attributes:
+        "x y width height result in order kernelMatrix divisor bias targetX " +
+        "targetY edgeMode kernelUnitLength preserveAlpha",
+    },
+    {
+      name: "FeDiffuseLighting",
+      tagName: "feDiffuseLighting",
+      attributes:
+        "x y width height result in surfaceScale diffuseConstant " +
+        "kernelUnitLength",
+    },
+    {
+      name: "FeDisplacementMap",
+      tagName: "feDisplacementMap",
+      attributes:
+        "x y width height result in in2 scale xChannelSelector " +
+        "yChannelSelector",
+    },
+    {
+      name: "FeDistantLight",
+      tagName: "feDistantLight",
+      attributes: "azimuth elevation",
+    },
+    {
+      name: "FeDropShadow",
+      tagName: "feDropShadow",
+      attributes: "x y width height result in dx dy stdDeviation",
+    },
+    {
+      name: "FeFlood",
+      tagName: "feFlood",
+      attributes: "x y width height result",
+    },
+    {
+      name: "FeFuncA",
+      tagName: "feFuncA",
+      attributes: "type tableValues slope intercept amplitude exponent offset",
+    },
+    {
+      name: "FeFuncB",
+      tagName: "feFuncB",
+      attributes: "type tableValues slope intercept amplitude exponent offset",
+    },
+    {
+      name: "FeFuncG",
+      tagName: "feFuncG",
+      attributes: "type tableValues slope intercept amplitude exponent offset",
+    },
+    {
+      name: "FeFuncR",
+      tagName: "feFuncR",
+      attributes: "type tableValues slope intercept amplitude exponent offset",
+    },
+    {
+      name: "FeGaussianBlur",
+      tagName: "feGaussianBlur",
+      attributes: "x y width height result in stdDeviation edgeMode",
+    },
+    {
+      name: "FeImage",
+      tagName: "feImage",
+      attributes:
+        "x y width height result href xlink:href preserveAspectRatio " +
+        "crossorigin",
+    },
+    {
+      name: "FeMerge",
+      tagName: "feMerge",
+      attributes: "x y width height result",
+    },
+    { name: "FeMergeNode", tagName: "feMergeNode", attributes: "in" },
+    {
+      name: "FeMorphology",
+      tagName: "feMorphology",
+      attributes: "x y width height result in operator radius",
+    },
+    {
+      name: "FeOffset",
+      tagName: "feOffset",
+      attributes: "x y width height result in dx dy",
+    },
+    { name: "FePointLight", tagName: "fePointLight", attributes: "x y z" },
+    {
+      name: "FeSpecularLighting",
+      tagName: "feSpecularLighting",
+      attributes:
+        "x y width height result in surfaceScale specularConstant " +
+        "specularExponent kernelUnitLength",
+    },
+    {
+      name: "FeSpotLight",
+      tagName: "feSpotLight",
+      attributes:
+        "x y z pointsAtX pointsAtY pointsAtZ specularExponent " +
+        "limitingConeAngle",
+    },
+    {
+      name: "FeTile",
+      tagName: "feTile",
+      attributes: "x y width height result in",
+    },
+    {
+      name: "FeTurbulence",
+      tagName: "feTurbulence",
+      attributes:
+        "x y width height result baseFrequency numOctaves seed stitchTiles " +
+        "type",
+    },
+    {
+      name: "Filter",
+      tagName: "filter",
+      attributes: "x y width height filterUnits primitiveUnits",
+    },
+    {
+      name: "ForeignObject",
+      tagName: "foreignObject",
+      attributes: "x y width height",
+    },
+    { name: "G", tagName: "g" },
+    {
+      name: "Image",
+      tagName: "image",
+      attributes:
+        "x y width height href xlink:href preserveAspectRatio crossorigin " +
+        "decoding",
+    },
+    { name: "Line", tagName: "line", attributes: "x1 y1 x2 y2 pathLength" },
+    {
+      name: "LinearGradient",
+      tagName: "linearGradient",
+      attributes:
+        "x1 y1 x2 y2 gradientUnits gradientTransform spreadMethod href " +
+        "xlink:href",
+    },
+    {
+      name: "Marker",
+      tagName: "marker",
+      attributes:
+        "viewBox preserveAspectRatio refX refY markerUnits markerWidth " +
+        "markerHeight orient",
+    },
+    {
+      name: "Mask",
+      tagName: "mask",
+      attributes: "x y width height maskUnits maskContentUnits",
+    },
+    { name: "Metadata", tagName: "metadata" },
+    { name: "Mpath", tagName: "mpath", attributes: "href xlink:href" },
+    { name: "Path", tagName: "path", attributes: "d pathLength" },
+    {
+      name: "Pattern",
+      tagName: "pattern",
+      attributes:
+        "x y width height patternUnits patternContentUnits patternTransform " +
+        "viewBox preserveAspectRatio href xlink:href",
+    },
+    { name: "Polygon", tagName: "polygon", attributes: "points pathLength" },
+    { name: "Polyline", tagName: "polyline", attributes: "points pathLength" },
+    {
+      name: "RadialGradient",
+      tagName: "radialGradient",
+      attributes:
+        "cx cy r fx fy fr gradientUnits gradientTransform spreadMethod href " +
+        "xlink:href",
+    },
+    {
+      name: "Rect",
+      tagName: "rect",
+      attributes: "x y width height rx ry pathLength",
+    },
+    {
+      name: "Script",
+      tagName: "script",
+      attributes: "type href xlink:href crossorigin",
+    },
+    {
+      name: "Set",
+      tagName: "set",
+      attributes:
+        "attributeName begin dur end min max restart repeatCount repeatDur " +
+        "fill href xlink:href to",
+    },
+    { name: "Stop", tagName: "stop", attributes: "offset" },
+    { name: "Style", tagName: "style", attributes: "type media title" },
+    {
+      name: "Svg",
+      tagName: "svg",
+      attributes:
+        "viewBox preserveAspectRatio x y width height xmlns xmlns:xlink " +
+        "version zoomAndPan",
+    },
+    { name: "Switch", tagName: "switch" },
+    {
+      name: "Symbol",
+      tagName: "symbol",
+      attributes: "viewBox preserveAspectRatio x y width height refX refY",
+    },
+    {
+      name: "Text",
+      tagName: "text",
+      attributes: "x y dx dy rotate textLength lengthAdjust",
+    },
+    {
+      name: "TextPath",
+      tagName: "textPath",
+      attributes:
+        "href xlink:href startOffset method spacing side path textLength " +
+        "lengthAdjust",
+    },
+    { name: "Title", tagName: "title" },
+    {
+      name: "Tspan",
+      tagName: "tspan",
+      attributes: "x y dx dy rotate textLength lengthAdjust",
+    },
+    {
+      name: "Use",
+      tagName: "use",
+      attributes: "href xlink:href x y width height",
+    },
+    {
+      name: "View",
+      tagName: "view",
+      attributes: "viewBox preserveAspectRatio",
+    },
+  ],
+  mathml: [
+    { name: "Math", tagName: "math", attributes: "display alttext" },
+    { name: "Annotation", tagName: "annotation", attributes: "encoding" },
+    {
+      name: "AnnotationXml",
+      tagName: "annotation-xml",
+      attributes: "encoding",
+    },
+    { name: "Maction", tagName: "maction", attributes: "actiontype selection" },
+    { name: "Merror", tagName: "merror" },
+    { name: "Mfrac", tagName: "mfrac", attributes: "linethickness" },
+    { name: "Mi", tagName: "mi", attributes: "mathvariant" },
+    { name: "Mmultiscripts", tagName: "mmultiscripts" },
+    { name: "Mn", tagName: "mn" },
+    {
+      name: "Mo",
+      tagName: "mo",
+      attributes:
+        "fence form largeop lspace maxsize minsize movablelimits rspace " +
+        "separator stretchy symmetric",
+    },
+    { name: "Mover", tagName: "mover", attributes: "accent" },
+    {
+      name: "Mpadded",
+      tagName: "mpadded",
+      attributes: "depth height lspace voffset width",
+    },
+    { name: "Mphantom", tagName: "mphantom" },
+    { name: "Mprescripts", tagName: "mprescripts" },
+    { name: "Mroot", tagName: "mroot" },
+    { name: "Mrow", tagName: "mrow" },
+    { name: "Ms", tagName: "ms" },
+    { name: "Mspace", tagName: "mspace", attributes: "depth height width" },
+    { name: "Msqrt", tagName: "msqrt" },
+    { name: "Mstyle", tagName: "mstyle" },
+    { name: "Msub", tagName: "msub" },
+    { name: "Msubsup", tagName: "msubsup" },
+    { name: "Msup", tagName: "msup" },
+    { name: "Mtable", tagName: "mtable" },
+    { name: "Mtd", tagName: "mtd", attributes: "columnspan rowspan" },
+    { name: "Mtext", tagName: "mtext" },
+    { name: "Mtr", tagName: "mtr" },
+    { name: "Munder", tagName: "munder", attributes: "accentunder" },
+    {
+      name: "Munderover",
+      tagName: "munderover",
+      attributes: "accent accentunder",
+    },
+    { name: "Semantics", tagName: "semantics" },
+  ],
+};
@@ -1,447 +1,5 @@
-const validAttributes = [
-  "accept",
-  "accept-charset",
-  "accesskey",
-  "action",
-  "align",
-  "alt",
-  "async",
-  "autocapitalize",
-  "autocomplete",
-  "autofocus",
-  "autoplay",
-  "background",
-  "bgcolor",
-  "border",
-  "buffered",
-  "challenge",
-  "charset",
-  "checked",
-  "cite",
-  "class",
-  "code",
-  "codebase",
-  "color",
-  "cols",
-  "colspan",
-  "content",
-  "contenteditable",
-  "contextmenu",
-  "controls",
-  "coords",
-  "crossorigin",
-  "data",
-  "datetime",
-  "decoding",
-  "default",
-  "defer",
-  "dir",
-  "dirname",
-  "disabled",
-  "download",
-  "draggable",
-  "dropzone",
-  "enctype",
-  "for",
-  "form",
-  "formaction",
-  "formmethod",
-  "formnovalidate",
-  "formtarget",
-  "headers",
-  "height",
-  "hidden",
-  "high",
-  "href",
-  "hreflang",
-  "http-equiv",
-  "icon",
-  "id",
-  "importance",
-  "inputmode",
-  "integrity",
-  "ismap",
-  "itemprop",
-  "itemscope",
-  "itemtype",
-  "keytype",
-  "kind",
-  "label",
-  "lang",
-  "language",
-  "loading",
-  "list",
-  "loop",
-  "low",
-  "manifest",
-  "max",
-  "maxlength",
-  "minlength",
-  "media",
-  "method",
-  "min",
-  "multiple",
-  "muted",
-  "name",
-  "novalidate",
-  "open",
-  "optimum",
-  "pattern",
-  "ping",
-  "placeholder",
-  "poster",
-  "preload",
-  "radiogroup",
-  "readonly",
-  "referrerpolicy",
-  "rel",
-  "required",
-  "reversed",
-  "role",
-  "rows",
-  "rowspan",
-  "sandbox",
-  "scope",
-  "scoped",
-  "selected",
-  "shape",
-  "size",
-  "sizes",
-  "slot",
-  "span",
-  "spellcheck",
-  "src",
-  "srcdoc",
-  "srclang",
-  "srcset",
-  "start",
-  "step",
-  "style",
-  "summary",
-  "tabindex",
-  "target",
-  "title",
-  "translate",
-  "type",
-  "usemap",
-  "value",
-  "width",
-  "wrap",
-  "results",
-
-  // ARIA attributes
-  "aria-activedescendant",
-  "aria-atomic",
-  "aria-autocomplete",
-  "aria-busy",
-  "aria-checked",
-  "aria-colcount",
-  "aria-colindex",
-  "aria-colspan",
-  "aria-controls",
-  "aria-current",
-  "aria-describedby",
-  "aria-details",
-  "aria-disabled",
-  "aria-dropeffect",
-  "aria-errormessage",
-  "aria-expanded",
-  "aria-flowto",
-  "aria-grabbed",
-  "aria-haspopup",
-  "aria-hidden",
-  "aria-invalid",
-  "aria-keyshortcuts",
-  "aria-label",
-  "aria-labelledby",
-  "aria-level",
-  "aria-live",
-  "aria-modal",
-  "aria-multiline",
-  "aria-multiselectable",
-  "aria-orientation",
-  "aria-owns",
-  "aria-placeholder",
-  "aria-posinset",
-  "aria-pressed",
-  "aria-readonly",
-  "aria-relevant",
-  "aria-required",
-  "aria-roledescription",
-  "aria-rowcount",
-  "aria-rowindex",
-  "aria-rowspan",
-  "aria-selected",
-  "aria-setsize",
-  "aria-sort",
-  "aria-valuemax",
-  "aria-valuemin",
-  "aria-valuenow",
-  "aria-valuetext",
-
-  // svg attributes
-  "accent-height",
-  "accumulate",
-  "additive",
-  "alignment-baseline",
-  "allowReorder",
-  "alphabetic",
-  "amplitude",
-  "arabic-form",
-  "ascent",
-  "attributeName",
-  "attributeType",
-  "autoReverse",
-  "azimuth",
-  "baseFrequency",
-  "baseline-shift",
-  "baseProfile",
-  "bbox",
-  "begin",
-  "bias",
-  "by",
-  "calcMode",
-  "cap-height",
-  "class",
-  "clip",
-  "clipPathUnits",
-  "clip-path",
-  "clip-rule",
-  "color",
-  "color-interpolation",
-  "color-interpolation-filters",
-  "color-profile",
-  "color-rendering",
-  "contentScriptType",
-  "contentStyleType",
-  "cursor",
-  "cx",
-  "cy",
-  "d",
-  "decelerate",
-  "descent",
-  "diffuseConstant",
-  "direction",
-  "display",
-  "divisor",
-  "dominant-baseline",
-  "dur",
-  "dx",
-  "dy",
-  "edgeMode",
-  "elevation",
-  "enable-background",
-  "end",
-  "exponent",
-  "externalResourcesRequired",
-  "fill",
-  "fill-opacity",
-  "fill-rule",
-  "filter",
-  "filterRes",
-  "filterUnits",
-  "flood-color",
-  "flood-opacity",
-  "font-family",
-  "font-size",
-  "font-size-adjust",
-  "font-stretch",
-  "font-style",
-  "font-variant",
-  "font-weight",
-  "format",
-  "from",
-  "fr",
-  "fx",
-  "fy",
-  "g1",
-  "g2",
-  "glyph-name",
-  "glyph-orientation-horizontal",
-  "glyph-orientation-vertical",
-  "glyphRef",
-  "gradientTransform",
-  "gradientUnits",
-  "hanging",
-  "height",
-  "href",
-  "hreflang",
-  "horiz-adv-x",
-  "horiz-origin-x",
-  "id",
-  "ideographic",
-  "image-rendering",
-  "in",
-  "in2",
-  "intercept",
-  "k",
-  "k1",
-  "k2",
-  "k3",
-  "k4",
-  "kernelMatrix",
-  "kernelUnitLength",
-  "kerning",
-  "keyPoints",
-  "keySplines",
-  "keyTimes",
-  "lang",
-  "lengthAdjust",
-  "letter-spacing",
-  "lighting-color",
-  "limitingConeAngle",
-  "local",
-  "marker-end",
-  "marker-mid",
-  "marker-start",
-  "markerHeight",
-  "markerUnits",
-  "markerWidth",
-  "mask",
-  "maskContentUnits",
-  "maskUnits",
-  "mathematical",
-  "max",
-  "media",
-  "method",
-  "min",
-  "mode",
-  "name",
-  "numOctaves",
-  "offset",
-  "opacity",
-  "operator",
-  "order",
-  "orient",
-  "orientation",
-  "origin",
-  "overflow",
-  "overline-position",
-  "overline-thickness",
-  "panose-1",
-  "paint-order",
-  "path",
-  "pathLength",
-  "patternContentUnits",
-  "patternTransform",
-  "patternUnits",
-  "pointer-events",
-  "points",
-  "pointsAtX",
-  "pointsAtY",
-  "pointsAtZ",
-  "preserveAlpha",
-  "preserveAspectRatio",
-  "primitiveUnits",
-  "r",
-  "radius",
-  "refX",
-  "refY",
-  "rendering-intent",
-  "repeatCount",
-  "repeatDur",
-  "requiredExtensions",
-  "requiredFeatures",
-  "restart",
-  "result",
-  "rotate",
-  "rx",
-  "ry",
-  "scale",
-  "seed",
-  "shape-rendering",
-  "slope",
-  "spacing",
-  "specularConstant",
-  "specularExponent",
-  "speed",
-  "spreadMethod",
-  "startOffset",
-  "stdDeviation",
-  "stemh",
-  "stemv",
-  "stitchTiles",
-  "stop-color",
-  "stop-opacity",
-  "strikethrough-position",
-  "strikethrough-thickness",
-  "string",
-  "stroke",
-  "stroke-dasharray",
-  "stroke-dashoffset",
-  "stroke-linecap",
-  "stroke-linejoin",
-  "stroke-miterlimit",
-  "stroke-opacity",
-  "stroke-width",
-  "surfaceScale",
-  "systemLanguage",
-  "tableValues",
-  "target",
-  "targetX",
-  "targetY",
-  "text-anchor",
-  "text-decoration",
-  "text-rendering",
-  "textLength",
-  "to",
-  "transform",
-  "type",
-  "u1",
-  "u2",
-  "underline-position",
-  "underline-thickness",
-  "unicode",
-  "unicode-bidi",
-  "unicode-range",
-  "units-per-em",
-  "v-alphabetic",
-  "v-hanging",
-  "v-ideographic",
-  "v-mathematical",
-  "values",
-  "vector-effect",
-  "version",
-  "vert-adv-y",
-  "vert-origin-x",
-  "vert-origin-y",
-  "viewBox",
-  "viewTarget",
-  "visibility",
-  "width",
-  "widths",
-  "word-spacing",
-  "writing-mode",
-  "x",
-  "x-height",
-  "x1",
-  "x2",
-  "xChannelSelector",
-  "xlink:actuate",
-  "xlink:arcrole",
-  "xlink:href",
-  "xlink:role",
-  "xlink:show",
-  "xlink:title",
-  "xlink:type",
-  "xml:base",
-  "xml:lang",
-  "xml:space",
-  "y",
-  "y1",
-  "y2",
-  "yChannelSelector",
-  "z",
-  "zoomAndPan",
-
-  // htmljs specific attributes
-  "if",
-  "child",
-  "children",
-  "textContent",
-  "innerHTML",
-  "bind",
-];
+import { serializeState } from "./state.js";
+import { validateProperty } from "./validation.js";
 
 export class Element {
   initialize(params) {
@@ -493,10 +51,30 @@ export class Element {
         }
       } else if (params instanceof Element) {
         this.child = params;
+      } else if (typeof params?.then === "function") {
+        // a promise is content, like the string shorthand
+        this.child = params;
       } else {
         for (let key in params) {
-          if (validAttributes.includes(key) || key.startsWith("data-")) {
-            this[key] = params[key];
+          const value = params[key];
+
+          if (
+            key.startsWith("on") &&
+            key.length > 2 &&
+            typeof value === "function"
+          ) {
+            // onClick, oninput, etc. are shorthands for the on property
+            this.on = { ...this.on, [key.slice(2).toLowerCase()]: value };
+          } else if (key === "on" && value !== null && typeof value === "object") {
+            this.on = { ...this.on, ...value };
+          } else if (key === "attrs") {
+            // attrs sets attributes as they are, without validation
+            this.attrs = { ...this.attrs, ...value };
+          } else {
+            // unknown attributes are reported, but still rendered
+            const name = key === "className" ? "class" : key;
+            validateProperty(this.tagName, name, value);
+            this[name] = value;
           }
         }
       }
@@ -520,263 +98,224 @@ export class Element {
   }
 }
 
-export class Html extends Element {
+// BEGIN GENERATED ELEMENTS
+// Do not edit this section by hand - change element-spec.js and run
+// `node scripts/generate-elements.js` instead.
+
+// HTML elements
+
+export class Abbr extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "html";
+    this.tagName = "abbr";
     this.initialize(params);
   }
 }
 
-export class Base extends Element {
+export class Address extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "base";
+    this.tagName = "address";
     this.initialize(params);
   }
 }
 
-/**
- * Represents the head section of an HTML document.
- */
-export class Head extends Element {
-  /**
-   * Creates an instance of Head.
-   *
-   * @param {Object} params - The parameters for the head section.
-   */
+export class Area extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "head";
+    this.tagName = "area";
+    this.initialize(params);
   }
 }
 
-export class Link extends Element {
+export class Article extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "link";
+    this.tagName = "article";
     this.initialize(params);
   }
 }
 
-export class Stylesheet extends Link {
+export class Aside extends Element {
   constructor(params) {
     super(params);
-    this.rel = "stylesheet";
+    this.tagName = "aside";
+    this.initialize(params);
   }
 }
 
-export class PreLoadStyle extends Link {
+export class Audio extends Element {
   constructor(params) {
     super(params);
-    this.rel = "preload";
-    this.as = "style";
-    this.onload = `this.rel="stylesheet"`;
+    this.tagName = "audio";
+    this.initialize(params);
   }
 }
 
-export class Meta extends Element {
+export class B extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "meta";
+    this.tagName = "b";
     this.initialize(params);
   }
 }
 
-export class Style extends Element {
+export class Base extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "style";
+    this.tagName = "base";
     this.initialize(params);
   }
 }
 
-export class Title extends Element {
+export class Bdi extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "title";
+    this.tagName = "bdi";
     this.initialize(params);
   }
 }
 
-export class Body extends Element {
+export class Bdo extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "body";
+    this.tagName = "bdo";
     this.initialize(params);
   }
 }
 
-export class Address extends Element {
+export class Blockquote extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "address";
+    this.tagName = "blockquote";
     this.initialize(params);
   }
 }
 
-export class Article extends Element {
+export class Body extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "article";
+    this.tagName = "body";
     this.initialize(params);
   }
 }
 
-export class Aside extends Element {
+export class Br extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "aside";
+    this.tagName = "br";
     this.initialize(params);
   }
 }
 
-export class Footer extends Element {
+export class Button extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "footer";
+    this.tagName = "button";
     this.initialize(params);
   }
 }
 
-export class Header extends Element {
+export class Canvas extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "header";
+    this.tagName = "canvas";
     this.initialize(params);
   }
 }
 
-export class H1 extends Element {
+export class Caption extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "h1";
+    this.tagName = "caption";
     this.initialize(params);
   }
 }
 
-export class H2 extends Element {
+export class Cite extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "h2";
+    this.tagName = "cite";
     this.initialize(params);
   }
 }
 
-export class H3 extends Element {
+export class Code extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "h3";
+    this.tagName = "code";
     this.initialize(params);
   }
 }
 
-export class H4 extends Element {
+export class Col extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "h4";
+    this.tagName = "col";
     this.initialize(params);
   }
 }
 
-export class H5 extends Element {
+export class Colgroup extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "h5";
+    this.tagName = "colgroup";
     this.initialize(params);
   }
 }
 
-export class H6 extends Element {
+export class Data extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "h6";
+    this.tagName = "data";
     this.initialize(params);
   }
 }
 
-export class Hgroup extends Element {
+export class Datalist extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "hgroup";
-
-    if (!this.children) {
-      this.children = [];
-    }
-
-    if (params.h) {
-      const heading = new Element();
-      heading.tagName = `h${params.h}`;
-      heading.initialize({
-        textContent: params.textContent,
-      });
-
-      this.children.push(heading);
-
-      delete params.h;
-      delete params.textContent;
-    }
-
-    if (params.subheading) {
-      this.children.push(
-        new P({
-          textContent: params.subheading,
-        })
-      );
-
-      delete params.subheading;
-    }
-
-    if (params.preheading) {
-      this.children.unshift(
-        new P({
-          textContent: params.preheading,
-        })
-      );
-
-      delete params.preheading;
-    }
-
+    this.tagName = "datalist";
     this.initialize(params);
   }
 }
 
-export class Main extends Element {
+export class Dd extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "main";
+    this.tagName = "dd";
     this.initialize(params);
   }
 }
 
-export class Nav extends Element {
+export class Del extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "nav";
+    this.tagName = "del";
     this.initialize(params);
   }
 }
 
-export class Section extends Element {
+export class Details extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "section";
+    this.tagName = "details";
     this.initialize(params);
   }
 }
 
-export class Blockquote extends Element {
+export class Dfn extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "blockquote";
+    this.tagName = "dfn";
     this.initialize(params);
   }
 }
 
-export class Dd extends Element {
+export class Dialog extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "dd";
+    this.tagName = "dialog";
     this.initialize(params);
   }
 }
@@ -805,531 +344,514 @@ export class Dt extends Element {
   }
 }
 
-export class Figcaption extends Element {
+export class Em extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "figcaption";
+    this.tagName = "em";
     this.initialize(params);
   }
 }
 
-export class Figure extends Element {
+export class Embed extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "figure";
+    this.tagName = "embed";
     this.initialize(params);
   }
 }
 
-export class Hr extends Element {
+export class Fieldset extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "hr";
+    this.tagName = "fieldset";
     this.initialize(params);
   }
 }
 
-export class Menu extends Element {
+export class Figcaption extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "menu";
+    this.tagName = "figcaption";
     this.initialize(params);
   }
 }
 
-export class P extends Element {
+export class Figure extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "p";
+    this.tagName = "figure";
     this.initialize(params);
   }
 }
 
-export class Pre extends Element {
+export class Footer extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "pre";
+    this.tagName = "footer";
     this.initialize(params);
   }
 }
 
-export class ListElement extends Element {
+export class H1 extends Element {
   constructor(params) {
     super(params);
-
-    // if we have params.children
-    if (params.children && Array.isArray(params.children)) {
-      // ensure that they are all wrapped in Li elements
-      params.children = params.children.map((child) =>
-        child instanceof Li ? child : new Li(child)
-      );
-    }
+    this.tagName = "h1";
+    this.initialize(params);
   }
 }
 
-export class Ul extends ListElement {
+export class H2 extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "ul";
-
+    this.tagName = "h2";
     this.initialize(params);
   }
 }
 
-export class Ol extends ListElement {
+export class H3 extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "ol";
-
+    this.tagName = "h3";
     this.initialize(params);
   }
 }
 
-export class Li extends Element {
+export class H4 extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "li";
+    this.tagName = "h4";
     this.initialize(params);
   }
 }
 
-export class A extends Element {
+export class H5 extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "a";
-
-    // if the href is an external link, then add the noopener and noreferrer attributes
-    if (params.href && params.href.startsWith("http")) {
-      if (!params.rel) {
-        params.rel = "noopener noreferrer";
-      } else if (!params.rel.includes("noopener noreferrer")) {
-        params.rel += " noopener noreferrer";
-      }
-    }
-
+    this.tagName = "h5";
     this.initialize(params);
   }
 }
 
-export class Abbr extends Element {
+export class H6 extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "abbr";
+    this.tagName = "h6";
     this.initialize(params);
   }
 }
 
-export class B extends Element {
+export class Header extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "b";
+    this.tagName = "header";
     this.initialize(params);
   }
 }
 
-export class Bdi extends Element {
+export class Hr extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "bdi";
+    this.tagName = "hr";
     this.initialize(params);
   }
 }
 
-export class Bdo extends Element {
+export class Html extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "bdo";
+    this.tagName = "html";
     this.initialize(params);
   }
 }
 
-export class Br extends Element {
+export class I extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "br";
+    this.tagName = "i";
     this.initialize(params);
   }
 }
 
-export class Cite extends Element {
+export class Iframe extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "cite";
+    this.tagName = "iframe";
     this.initialize(params);
   }
 }
 
-export class Code extends Element {
+export class Img extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "code";
+    this.tagName = "img";
     this.initialize(params);
   }
 }
 
-export class Data extends Element {
+export class Ins extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "data";
+    this.tagName = "ins";
     this.initialize(params);
   }
 }
 
-export class Dfn extends Element {
+export class Kbd extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "dfn";
+    this.tagName = "kbd";
     this.initialize(params);
   }
 }
 
-export class Em extends Element {
+export class Label extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "em";
+    this.tagName = "label";
     this.initialize(params);
   }
 }
 
-export class I extends Element {
+export class Legend extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "i";
+    this.tagName = "legend";
     this.initialize(params);
   }
 }
 
-export class Kbd extends Element {
+export class Li extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "kbd";
+    this.tagName = "li";
     this.initialize(params);
   }
 }
 
-export class Mark extends Element {
+export class Link extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "mark";
+    this.tagName = "link";
     this.initialize(params);
   }
 }
 
-export class Q extends Element {
+export class Main extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "q";
+    this.tagName = "main";
     this.initialize(params);
   }
 }
 
-export class Rp extends Element {
+export class Map extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "rp";
+    this.tagName = "map";
     this.initialize(params);
   }
 }
 
-export class Rt extends Element {
+export class Mark extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "rt";
+    this.tagName = "mark";
     this.initialize(params);
   }
 }
 
-export class Ruby extends Element {
+export class Menu extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "ruby";
+    this.tagName = "menu";
     this.initialize(params);
   }
 }
 
-export class S extends Element {
+export class Meta extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "s";
+    this.tagName = "meta";
     this.initialize(params);
   }
 }
 
-export class Samp extends Element {
+export class Meter extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "samp";
+    this.tagName = "meter";
     this.initialize(params);
   }
 }
 
-export class Small extends Element {
+export class Nav extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "small";
+    this.tagName = "nav";
     this.initialize(params);
   }
 }
 
-export class Span extends Element {
+export class Noscript extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "span";
+    this.tagName = "noscript";
     this.initialize(params);
   }
 }
 
-export class Strong extends Element {
+export class Object extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "strong";
+    this.tagName = "object";
     this.initialize(params);
   }
 }
 
-export class Sub extends Element {
+export class Optgroup extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "sub";
+    this.tagName = "optgroup";
     this.initialize(params);
   }
 }
 
-export class Sup extends Element {
+export class Option extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "sup";
+    this.tagName = "option";
     this.initialize(params);
   }
 }
 
-export class Time extends Element {
+export class Output extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "time";
+    this.tagName = "output";
     this.initialize(params);
   }
 }
 
-export class U extends Element {
+export class P extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "u";
+    this.tagName = "p";
     this.initialize(params);
   }
 }
 
-export class Var extends Element {
+export class Param extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "var";
+    this.tagName = "param";
     this.initialize(params);
   }
 }
 
-export class Wbr extends Element {
+export class Picture extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "wbr";
+    this.tagName = "picture";
     this.initialize(params);
   }
 }
 
-export class Area extends Element {
+export class Pre extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "area";
+    this.tagName = "pre";
     this.initialize(params);
   }
 }
 
-export class Audio extends Element {
+export class Progress extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "audio";
+    this.tagName = "progress";
     this.initialize(params);
   }
 }
 
-export class Img extends Element {
+export class Q extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "img";
+    this.tagName = "q";
     this.initialize(params);
   }
 }
 
-export class LazyImg extends Img {
+export class Rp extends Element {
   constructor(params) {
     super(params);
-    this.loading = "lazy";
+    this.tagName = "rp";
+    this.initialize(params);
   }
 }
 
-export class Map extends Element {
+export class Rt extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "map";
+    this.tagName = "rt";
     this.initialize(params);
   }
 }
 
-export class Track extends Element {
+export class Ruby extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "track";
+    this.tagName = "ruby";
     this.initialize(params);
   }
 }
 
-export class Video extends Element {
+export class S extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "video";
+    this.tagName = "s";
     this.initialize(params);
   }
 }
 
-export class Embed extends Element {
+export class Samp extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "embed";
+    this.tagName = "samp";
     this.initialize(params);
   }
 }
 
-export class Iframe extends Element {
+export class Search extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "iframe";
+    this.tagName = "search";
     this.initialize(params);
   }
 }
 
-export class Object extends Element {
+export class Section extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "object";
+    this.tagName = "section";
     this.initialize(params);
   }
 }
 
-export class Param extends Element {
+export class Select extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "param";
+    this.tagName = "select";
     this.initialize(params);
   }
 }
 
-export class Picture extends Element {
+export class Slot extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "picture";
+    this.tagName = "slot";
     this.initialize(params);
   }
 }
 
-export class Source extends Element {
+export class Small extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "source";
+    this.tagName = "small";
     this.initialize(params);
   }
 }
 
-export class Canvas extends Element {
+export class Source extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "canvas";
+    this.tagName = "source";
     this.initialize(params);
   }
 }
 
-export class Noscript extends Element {
+export class Span extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "noscript";
+    this.tagName = "span";
     this.initialize(params);
   }
 }
 
-export class Script extends Element {
+export class Strong extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "script";
-    this.defer = true;
+    this.tagName = "strong";
     this.initialize(params);
   }
 }
 
-export class Module extends Script {
+export class Style extends Element {
   constructor(params) {
     super(params);
-    this.type = "module";
+    this.tagName = "style";
+    this.initialize(params);
   }
 }
 
-export class Del extends Element {
+export class Sub extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "del";
+    this.tagName = "sub";
     this.initialize(params);
   }
 }
 
-export class Ins extends Element {
+export class Summary extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "ins";
+    this.tagName = "summary";
     this.initialize(params);
   }
 }
 
-export class Caption extends Element {
+export class Sup extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "caption";
+    this.tagName = "sup";
     this.initialize(params);
   }
 }
 
-export class Col extends Element {
+export class Table extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "col";
+    this.tagName = "table";
     this.initialize(params);
   }
 }
 
-export class Colgroup extends Element {
+export class TBody extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "colgroup";
+    this.tagName = "tbody";
     this.initialize(params);
   }
 }
 
-export class Table extends Element {
+export class Td extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "table";
+    this.tagName = "td";
     this.initialize(params);
   }
 }
 
-export class TBody extends Element {
+export class Template extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "tbody";
+    this.tagName = "template";
     this.initialize(params);
   }
 }
 
-export class Td extends Element {
+export class Textarea extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "td";
+    this.tagName = "textarea";
     this.initialize(params);
   }
 }
@@ -1358,363 +880,364 @@ export class THead extends Element {
   }
 }
 
-export class Tr extends Element {
+export class Time extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "tr";
+    this.tagName = "time";
     this.initialize(params);
   }
 }
 
-export class Button extends Element {
+export class Title extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "button";
+    this.tagName = "title";
     this.initialize(params);
   }
 }
 
-export class Datalist extends Element {
+export class Tr extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "datalist";
+    this.tagName = "tr";
     this.initialize(params);
   }
 }
 
-export class Fieldset extends Element {
+export class Track extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "fieldset";
+    this.tagName = "track";
     this.initialize(params);
   }
 }
 
-export class Form extends Element {
+export class U extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "form";
-
-    // if no params, create an empty object
-    if (!params) {
-      params = {};
-    }
-
-    if (!params?.method) {
-      params.method = "POST";
-    }
-
+    this.tagName = "u";
     this.initialize(params);
   }
 }
 
-export class Input extends Element {
+export class Var extends Element {
   constructor(params) {
     super(params);
-
-    if (params.label) {
-      // Set the tagName to "label" and create a child Input element
-      this.tagName = "label";
-      this.initialize(params.label);
-
-      const paramsNoLabel = { ...params };
-      delete paramsNoLabel.label;
-
-      this.child = new Input({ ...paramsNoLabel });
-    } else {
-      // Set the tagName to "input"
-      this.tagName = "input";
-      this.initialize(params);
-    }
+    this.tagName = "var";
+    this.initialize(params);
   }
 }
 
-export class HiddenInput extends Input {
+export class Video extends Element {
   constructor(params) {
     super(params);
-    this.type = "hidden";
+    this.tagName = "video";
+    this.initialize(params);
   }
 }
 
-export class TextInput extends Input {
+export class Wbr extends Element {
   constructor(params) {
     super(params);
-    this.type = "text";
+    this.tagName = "wbr";
+    this.initialize(params);
   }
 }
 
-export class SearchInput extends Input {
+// SVG elements
+
+export class Animate extends Element {
   constructor(params) {
     super(params);
-    this.type = "search";
+    this.tagName = "animate";
+    this.initialize(params);
   }
 }
 
-export class TelInput extends Input {
+export class AnimateMotion extends Element {
   constructor(params) {
     super(params);
-    this.type = "tel";
+    this.tagName = "animateMotion";
+    this.initialize(params);
   }
 }
 
-export class UrlInput extends Input {
+export class AnimateTransform extends Element {
   constructor(params) {
     super(params);
-    this.type = "url";
+    this.tagName = "animateTransform";
+    this.initialize(params);
   }
 }
 
-export class EmailInput extends Input {
+export class Circle extends Element {
   constructor(params) {
     super(params);
-    this.type = "email";
-  }
+    this.tagName = "circle";
+    this.initialize(params);
+  }
 }
 
-export class PasswordInput extends Input {
+export class ClipPath extends Element {
   constructor(params) {
     super(params);
-    this.type = "password";
+    this.tagName = "clipPath";
+    this.initialize(params);
   }
 }
 
-export class DateInput extends Input {
+export class Defs extends Element {
   constructor(params) {
     super(params);
-    this.type = "date";
+    this.tagName = "defs";
+    this.initialize(params);
   }
 }
 
-export class MonthInput extends Input {
+export class Desc extends Element {
   constructor(params) {
     super(params);
-    this.type = "month";
+    this.tagName = "desc";
+    this.initialize(params);
   }
 }
 
-export class WeekInput extends Input {
+export class Ellipse extends Element {
   constructor(params) {
     super(params);
-    this.type = "week";
+    this.tagName = "ellipse";
+    this.initialize(params);
   }
 }
 
-export class TimeInput extends Input {
+export class FeBlend extends Element {
   constructor(params) {
     super(params);
-    this.type = "time";
+    this.tagName = "feBlend";
+    this.initialize(params);
   }
 }
 
-export class DatetimeLocalInput extends Input {
+export class FeColorMatrix extends Element {
   constructor(params) {
     super(params);
-    this.type = "datetime-local";
+    this.tagName = "feColorMatrix";
+    this.initialize(params);
   }
 }
 
-export class NumberInput extends Input {
+export class FeComponentTransfer extends Element {
   constructor(params) {
     super(params);
-    this.type = "number";
+    this.tagName = "feComponentTransfer";
+    this.initialize(params);
   }
 }
 
-export class RangeInput extends Input {
+export class FeComposite extends Element {
   constructor(params) {
     super(params);
-    this.type = "range";
+    this.tagName = "feComposite";
+    this.initialize(params);
   }
 }
 
-export class ColorInput extends Input {
+export class FeConvolveMatrix extends Element {
   constructor(params) {
     super(params);
-    this.type = "color";
+    this.tagName = "feConvolveMatrix";
+    this.initialize(params);
   }
 }
 
-export class CheckboxInput extends Input {
+export class FeDiffuseLighting extends Element {
   constructor(params) {
     super(params);
-    this.type = "checkbox";
+    this.tagName = "feDiffuseLighting";
+    this.initialize(params);
   }
 }
 
-export class RadioInput extends Input {
+export class FeDisplacementMap extends Element {
   constructor(params) {
-    params.type = "radio";
     super(params);
+    this.tagName = "feDisplacementMap";
+    this.initialize(params);
   }
 }
 
-export class FileInput extends Input {
+export class FeDistantLight extends Element {
   constructor(params) {
     super(params);
-    this.type = "file";
+    this.tagName = "feDistantLight";
+    this.initialize(params);
   }
 }
 
-export class SubmitInput extends Input {
+export class FeDropShadow extends Element {
   constructor(params) {
     super(params);
-    this.type = "submit";
+    this.tagName = "feDropShadow";
+    this.initialize(params);
   }
 }
 
-export class ImageInput extends Input {
+export class FeFlood extends Element {
   constructor(params) {
     super(params);
-    this.type = "image";
+    this.tagName = "feFlood";
+    this.initialize(params);
   }
 }
 
-export class ResetInput extends Input {
+export class FeFuncA extends Element {
   constructor(params) {
     super(params);
-    this.type = "reset";
+    this.tagName = "feFuncA";
+    this.initialize(params);
   }
 }
 
-export class ButtonInput extends Input {
+export class FeFuncB extends Element {
   constructor(params) {
     super(params);
-    this.type = "button";
+    this.tagName = "feFuncB";
+    this.initialize(params);
   }
 }
 
-export class Label extends Element {
+export class FeFuncG extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "label";
+    this.tagName = "feFuncG";
     this.initialize(params);
   }
 }
 
-export class Legend extends Element {
+export class FeFuncR extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "legend";
+    this.tagName = "feFuncR";
     this.initialize(params);
   }
 }
 
-export class Meter extends Element {
+export class FeGaussianBlur extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "meter";
+    this.tagName = "feGaussianBlur";
     this.initialize(params);
   }
 }
 
-export class Optgroup extends Element {
+export class FeImage extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "optgroup";
+    this.tagName = "feImage";
     this.initialize(params);
   }
 }
 
-export class Option extends Element {
+export class FeMerge extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "option";
+    this.tagName = "feMerge";
     this.initialize(params);
   }
 }
 
-export class Output extends Element {
+export class FeMergeNode extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "output";
+    this.tagName = "feMergeNode";
     this.initialize(params);
   }
 }
 
-export class Progress extends Element {
+export class FeMorphology extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "progress";
+    this.tagName = "feMorphology";
     this.initialize(params);
   }
 }
 
-export class Select extends Element {
+export class FeOffset extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "select";
+    this.tagName = "feOffset";
     this.initialize(params);
   }
 }
 
-export class Textarea extends Element {
+export class FePointLight extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "textarea";
+    this.tagName = "fePointLight";
     this.initialize(params);
   }
 }
 
-export class Details extends Element {
+export class FeSpecularLighting extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "details";
+    this.tagName = "feSpecularLighting";
     this.initialize(params);
   }
 }
 
-export class Dialog extends Element {
+export class FeSpotLight extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "dialog";
+    this.tagName = "feSpotLight";
     this.initialize(params);
   }
 }
 
-export class Summary extends Element {
+export class FeTile extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "summary";
+    this.tagName = "feTile";
     this.initialize(params);
   }
 }
 
-export class Slot extends Element {
+export class FeTurbulence extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "slot";
+    this.tagName = "feTurbulence";
     this.initialize(params);
   }
 }
 
-export class Template extends Element {
+export class Filter extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "template";
+    this.tagName = "filter";
     this.initialize(params);
   }
 }
 
-export class Svg extends Element {
+export class ForeignObject extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "svg";
+    this.tagName = "foreignObject";
     this.initialize(params);
   }
 }
 
-export class Circle extends Element {
+export class G extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "circle";
+    this.tagName = "g";
     this.initialize(params);
   }
 }
 
-export class Ellipse extends Element {
+export class Image extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "ellipse";
+    this.tagName = "image";
     this.initialize(params);
   }
 }
@@ -1727,6 +1250,46 @@ export class Line extends Element {
   }
 }
 
+export class LinearGradient extends Element {
+  constructor(params) {
+    super(params);
+    this.tagName = "linearGradient";
+    this.initialize(params);
+  }
+}
+
+export class Marker extends Element {
+  constructor(params) {
+    super(params);
+    this.tagName = "marker";
+    this.initialize(params);
+  }
+}
+
+export class Mask extends Element {
+  constructor(params) {
+    super(params);
+    this.tagName = "mask";
+    this.initialize(params);
+  }
+}
+
+export class Metadata extends Element {
+  constructor(params) {
+    super(params);
+    this.tagName = "metadata";
+    this.initialize(params);
+  }
+}
+
+export class Mpath extends Element {
+  constructor(params) {
+    super(params);
+    this.tagName = "mpath";
+    this.initialize(params);
+  }
+}
+
 export class Path extends Element {
   constructor(params) {
     super(params);
@@ -1735,6 +1298,14 @@ export class Path extends Element {
   }
 }
 
+export class Pattern extends Element {
+  constructor(params) {
+    super(params);
+    this.tagName = "pattern";
+    this.initialize(params);
+  }
+}
+
 export class Polygon extends Element {
   constructor(params) {
     super(params);
@@ -1751,6 +1322,14 @@ export class Polyline extends Element {
   }
 }
 
+export class RadialGradient extends Element {
+  constructor(params) {
+    super(params);
+    this.tagName = "radialGradient";
+    this.initialize(params);
+  }
+}
+
 export class Rect extends Element {
   constructor(params) {
     super(params);
@@ -1759,58 +1338,66 @@ export class Rect extends Element {
   }
 }
 
-export class Text extends Element {
+export class Set extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "text";
+    this.tagName = "set";
     this.initialize(params);
   }
 }
 
-export class Tspan extends Element {
+export class Stop extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "tspan";
+    this.tagName = "stop";
     this.initialize(params);
   }
 }
 
-export class G extends Element {
+export class Svg extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "g";
+    this.tagName = "svg";
     this.initialize(params);
   }
 }
 
-export class Defs extends Element {
+export class Switch extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "defs";
+    this.tagName = "switch";
     this.initialize(params);
   }
 }
 
-export class LinearGradient extends Element {
+export class Symbol extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "linearGradient";
+    this.tagName = "symbol";
     this.initialize(params);
   }
 }
 
-export class RadialGradient extends Element {
+export class Text extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "radialGradient";
+    this.tagName = "text";
     this.initialize(params);
   }
 }
 
-export class Stop extends Element {
+export class TextPath extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "stop";
+    this.tagName = "textPath";
+    this.initialize(params);
+  }
+}
+
+export class Tspan extends Element {
+  constructor(params) {
+    super(params);
+    this.tagName = "tspan";
     this.initialize(params);
   }
 }
@@ -1823,178 +1410,682 @@ export class Use extends Element {
   }
 }
 
-export class Symbol extends Element {
+export class View extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "symbol";
+    this.tagName = "view";
     this.initialize(params);
   }
 }
 
-export class ClipPath extends Element {
+// MathML elements
+
+export class Math extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "clipPath";
+    this.tagName = "math";
     this.initialize(params);
   }
 }
 
-export class Pattern extends Element {
+export class Annotation extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "pattern";
+    this.tagName = "annotation";
     this.initialize(params);
   }
 }
 
-export class Mask extends Element {
+export class AnnotationXml extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "mask";
+    this.tagName = "annotation-xml";
     this.initialize(params);
   }
 }
 
-export class Filter extends Element {
+export class Maction extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "filter";
+    this.tagName = "maction";
     this.initialize(params);
   }
 }
 
-export class FeGaussianBlur extends Element {
+export class Merror extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "feGaussianBlur";
+    this.tagName = "merror";
     this.initialize(params);
   }
 }
 
-export class FeOffset extends Element {
+export class Mfrac extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "feOffset";
+    this.tagName = "mfrac";
     this.initialize(params);
   }
 }
 
-export class FeBlend extends Element {
+export class Mi extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "feBlend";
+    this.tagName = "mi";
     this.initialize(params);
   }
 }
 
-export class FeColorMatrix extends Element {
+export class Mmultiscripts extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "feColorMatrix";
+    this.tagName = "mmultiscripts";
     this.initialize(params);
   }
 }
 
-export class FeComponentTransfer extends Element {
+export class Mn extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "feComponentTransfer";
+    this.tagName = "mn";
     this.initialize(params);
   }
 }
 
-export class FeComposite extends Element {
+export class Mo extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "feComposite";
+    this.tagName = "mo";
     this.initialize(params);
   }
 }
 
-export class FeConvolveMatrix extends Element {
+export class Mover extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "feConvolveMatrix";
+    this.tagName = "mover";
     this.initialize(params);
   }
 }
 
-export class FeDiffuseLighting extends Element {
+export class Mpadded extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "feDiffuseLighting";
+    this.tagName = "mpadded";
     this.initialize(params);
   }
 }
 
-export class FeDisplacementMap extends Element {
+export class Mphantom extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "feDisplacementMap";
+    this.tagName = "mphantom";
     this.initialize(params);
   }
 }
 
-export class FeFlood extends Element {
+export class Mprescripts extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "feFlood";
+    this.tagName = "mprescripts";
     this.initialize(params);
   }
 }
 
-export class FeImage extends Element {
+export class Mroot extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "feImage";
+    this.tagName = "mroot";
     this.initialize(params);
   }
 }
 
-export class FeMerge extends Element {
+export class Mrow extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "feMerge";
+    this.tagName = "mrow";
     this.initialize(params);
   }
 }
 
-export class FeMorphology extends Element {
+export class Ms extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "feMorphology";
+    this.tagName = "ms";
     this.initialize(params);
   }
 }
 
-export class FeSpecularLighting extends Element {
+export class Mspace extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "feSpecularLighting";
+    this.tagName = "mspace";
     this.initialize(params);
   }
 }
 
-export class FeTile extends Element {
+export class Msqrt extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "feTile";
+    this.tagName = "msqrt";
     this.initialize(params);
   }
 }
 
-export class FeTurbulence extends Element {
+export class Mstyle extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "feTurbulence";
+    this.tagName = "mstyle";
     this.initialize(params);
   }
 }
 
-export class Math extends Element {
+export class Msub extends Element {
   constructor(params) {
     super(params);
-    this.tagName = "math";
+    this.tagName = "msub";
     this.initialize(params);
   }
 }
+
+export class Msubsup extends Element {
+  constructor(params) {
+    super(params);
+    this.tagName = "msubsup";
+    this.initialize(params);
+  }
+}
+
+export class Msup extends Element {
+  constructor(params) {
+    super(params);
+    this.tagName = "msup";
+    this.initialize(params);
+  }
+}
+
+export class Mtable extends Element {
+  constructor(params) {
+    super(params);
+    this.tagName = "mtable";
+    this.initialize(params);
+  }
+}
+
+export class Mtd extends Element {
+  constructor(params) {
+    super(params);
+    this.tagName = "mtd";
+    this.initialize(params);
+  }
+}
+
+export class Mtext extends Element {
+  constructor(params) {
+    super(params);
+    this.tagName = "mtext";
+    this.initialize(params);
+  }
+}
+
+export class Mtr extends Element {
+  constructor(params) {
+    super(params);
+    this.tagName = "mtr";
+    this.initialize(params);
+  }
+}
+
+export class Munder extends Element {
+  constructor(params) {
+    super(params);
+    this.tagName = "munder";
+    this.initialize(params);
+  }
+}
+
+export class Munderover extends Element {
+  constructor(params) {
+    super(params);
+    this.tagName = "munderover";
+    this.initialize(params);
+  }
+}
+
+export class Semantics extends Element {
+  constructor(params) {
+    super(params);
+    this.tagName = "semantics";
+    this.initialize(params);
+  }
+}
+
+// END GENERATED ELEMENTS
+
+/**
+ * Represents the head section of an HTML document.
+ */
+export class Head extends Element {
+  /**
+   * Creates an instance of Head.
+   *
+   * @param {Object} params - The parameters for the head section.
+   */
+  constructor(params) {
+    super(params);
+    this.tagName = "head";
+  }
+}
+
+export class Stylesheet extends Link {
+  constructor(params) {
+    super(params);
+    this.rel = "stylesheet";
+  }
+}
+
+export class PreLoadStyle extends Link {
+  constructor(params) {
+    super(params);
+    this.rel = "preload";
+    this.as = "style";
+
+    // applies the stylesheet once it's loaded, without waiting for html.js -
+    // pages with a nonce leave it out and apply it from the bootstrap script
+    this.onload = `this.rel="stylesheet"`;
+  }
+}
+
+export class Hgroup extends Element {
+  constructor(params) {
+    super(params);
+    this.tagName = "hgroup";
+
+    if (!this.children) {
+      this.children = [];
+    }
+
+    if (params.h) {
+      const heading = new Element();
+      heading.tagName = `h${params.h}`;
+      heading.initialize({
+        textContent: params.textContent,
+      });
+
+      this.children.push(heading);
+
+      delete params.h;
+      delete params.textContent;
+    }
+
+    if (params.subheading) {
+      this.children.push(
+        new P({
+          textContent: params.subheading,
+        })
+      );
+
+      delete params.subheading;
+    }
+
+    if (params.preheading) {
+      this.children.unshift(
+        new P({
+          textContent: params.preheading,
+        })
+      );
+
+      delete params.preheading;
+    }
+
+    this.initialize(params);
+  }
+}
+
+export class ListElement extends Element {
+  constructor(params) {
+    super(params);
+
+    // if we have params.children
+    if (params.children && Array.isArray(params.children)) {
+      // ensure that they are all wrapped in Li elements
+      params.children = params.children.map((child) =>
+        child instanceof Li ? child : new Li(child)
+      );
+    }
+  }
+}
+
+export class Ul extends ListElement {
+  constructor(params) {
+    super(params);
+    this.tagName = "ul";
+
+    this.initialize(params);
+  }
+}
+
+export class Ol extends ListElement {
+  constructor(params) {
+    super(params);
+    this.tagName = "ol";
+
+    this.initialize(params);
+  }
+}
+
+export class A extends Element {
+  constructor(params) {
+    super(params);
+    this.tagName = "a";
+
+    // if the href is an external link, then add the noopener and noreferrer attributes
+    if (params.href && params.href.startsWith("http")) {
+      if (!params.rel) {
+        params.rel = "noopener noreferrer";
+      } else if (!params.rel.includes("noopener noreferrer")) {
+        params.rel += " noopener noreferrer";
+      }
+    }
+
+    this.initialize(params);
+  }
+}
+
+export class LazyImg extends Img {
+  constructor(params) {
+    super(params);
+    this.loading = "lazy";
+  }
+}
+
+export class Script extends Element {
+  constructor(params) {
+    super(params);
+    this.tagName = "script";
+    this.defer = true;
+    this.initialize(params);
+  }
+}
+
+export class Module extends Script {
+  constructor(params) {
+    super(params);
+    this.type = "module";
+  }
+}
+
+export class Form extends Element {
+  constructor(params) {
+    super(params);
+    this.tagName = "form";
+
+    // if no params, create an empty object
+    if (!params) {
+      params = {};
+    }
+
+    if (!params?.method) {
+      params.method = "POST";
+    }
+
+    this.initialize(params);
+  }
+}
+
+export class Input extends Element {
+  constructor(params) {
+    super(params);
+
+    if (params.label) {
+      // Set the tagName to "label" and create a child Input element
+      this.tagName = "label";
+      this.initialize(params.label);
+
+      const paramsNoLabel = { ...params };
+      delete paramsNoLabel.label;
+
+      this.child = new Input({ ...paramsNoLabel });
+    } else {
+      // Set the tagName to "input"
+      this.tagName = "input";
+      this.initialize(params);
+    }
+  }
+}
+
+export class HiddenInput extends Input {
+  constructor(params) {
+    super(params);
+    this.type = "hidden";
+  }
+}
+
+export class TextInput extends Input {
+  constructor(params) {
+    super(params);
+    this.type = "text";
+  }
+}
+
+export class SearchInput extends Input {
+  constructor(params) {
+    super(params);
+    this.type = "search";
+  }
+}
+
+export class TelInput extends Input {
+  constructor(params) {
+    super(params);
+    this.type = "tel";
+  }
+}
+
+export class UrlInput extends Input {
+  constructor(params) {
+    super(params);
+    this.type = "url";
+  }
+}
+
+export class EmailInput extends Input {
+  constructor(params) {
+    super(params);
+    this.type = "email";
+  }
+}
+
+export class PasswordInput extends Input {
+  constructor(params) {
+    super(params);
+    this.type = "password";
+  }
+}
+
+export class DateInput extends Input {
+  constructor(params) {
+    super(params);
+    this.type = "date";
+  }
+}
+
+export class MonthInput extends Input {
+  constructor(params) {
+    super(params);
+    this.type = "month";
+  }
+}
+
+export class WeekInput extends Input {
+  constructor(params) {
+    super(params);
+    this.type = "week";
+  }
+}
+
+export class TimeInput extends Input {
+  constructor(params) {
+    super(params);
+    this.type = "time";
+  }
+}
+
+export class DatetimeLocalInput extends Input {
+  constructor(params) {
+    super(params);
+    this.type = "datetime-local";
+  }
+}
+
+export class NumberInput extends Input {
+  constructor(params) {
+    super(params);
+    this.type = "number";
+  }
+}
+
+export class RangeInput extends Input {
+  constructor(params) {
+    super(params);
+    this.type = "range";
+  }
+}
+
+export class ColorInput extends Input {
+  constructor(params) {
+    super(params);
+    this.type = "color";
+  }
+}
+
+export class CheckboxInput extends Input {
+  constructor(params) {
+    super(params);
+    this.type = "checkbox";
+  }
+}
+
+export class RadioInput extends Input {
+  constructor(params) {
+    params.type = "radio";
+    super(params);
+  }
+}
+
+export class FileInput extends Input {
+  constructor(params) {
+    super(params);
+    this.type = "file";
+  }
+}
+
+export class SubmitInput extends Input {
+  constructor(params) {
+    super(params);
+    this.type = "submit";
+  }
+}
+
+export class ImageInput extends Input {
+  constructor(params) {
+    super(params);
+    this.type = "image";
+  }
+}
+
+export class ResetInput extends Input {
+  constructor(params) {
+    super(params);
+    this.type = "reset";
+  }
+}
+
+export class ButtonInput extends Input {
+  constructor(params) {
+    super(params);
+    this.type = "button";
+  }
+}
+
+/**
+ * A wrapper that renders only its content, like Suspense and Island, whose
+ * own element shouldn't affect the layout. Each one has its own custom tag,
+ * which html.js lays out with display: contents from a stylesheet, since a
+ * Content Security Policy can block style attributes.
+ */
+export class ContentsElement extends Element {
+  /**
+   * The custom tags of the wrappers.
+   */
+  static tagNames = ["htmljs-suspense", "htmljs-island"];
+}
+
+/**
+ * Shows a fallback until its content has loaded. The content can be a
+ * promise, or a binding that returns one. When the page is streamed, the
+ * fallback is sent straight away and the content follows later in the same
+ * response, so a slow section doesn't hold up the rest of the page.
+ */
+export class Suspense extends ContentsElement {
+  /**
+   * Creates an instance of Suspense.
+   *
+   * @param {Object} params - The fallback and content of the boundary.
+   */
+  constructor(params) {
+    super(params);
+    this.tagName = "htmljs-suspense";
+    this.initialize(params);
+  }
+}
+
+/**
+ * Marks an interactive region of an otherwise static page. The server
+ * renders the component to plain HTML, and the browser only loads the
+ * component's module and hydrates it when the island's trigger fires.
+ * Islands get their props only - in islands mode the page's bound data
+ * isn't sent, so the component can't use bindings to it.
+ */
+export class Island extends ContentsElement {
+  /**
+   * Creates an instance of Island.
+   *
+   * @param {Object} params - The parameters for the island.
+   * @param {typeof Element|function(Object): Object} params.component - The component, or a function that returns a template from the props.
+   * @param {string} params.src - The URL of the module that exports the component as its default export in the browser.
+   * @param {Object} [params.props={}] - The props to render the component with, which are serialized for the browser.
+   * @param {"load"|"idle"|"visible"} [params.hydrate="load"] - When to hydrate the island: once the page loads, once the browser is idle or once the island is scrolled into view.
+   */
+  constructor(params) {
+    super(params);
+
+    const { component, src, props = {}, hydrate = "load", ...rest } = params;
+
+    if (!src) {
+      throw new Error("An Island needs the src of its component's module");
+    }
+
+    this.tagName = "htmljs-island";
+    this["data-island"] = hydrate;
+    this["data-island-src"] = src;
+    this["data-island-props"] = serializeState(props);
+    this.child = Island.renderComponent(component, props);
+    this.initialize(rest);
+  }
+
+  /**
+   * Renders an island's component with its props, on the server and again
+   * in the browser when the island hydrates.
+   * @param {typeof Element|function(Object): Object} component - The component, or a function that returns a template from the props.
+   * @param {Object} props - The props to render the component with.
+   * @returns {Object} The template of the component.
+   */
+  static renderComponent(component, props) {
+    // element classes, including components, are constructed, anything
+    // else is a function that returns a template
+    return component.prototype instanceof Element
+      ? new component(props)
+      : component(props);
+  }
+}
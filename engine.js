@@ -0,0 +1,89 @@
+// Standard Library Imports
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+
+import { createApp } from "./html.js";
+
+/**
+ * The template modules that have been imported, keyed by their path.
+ */
+const templates = new Map();
+
+/**
+ * Imports a template module. Modules are cached once imported, unless
+ * caching is off, in which case a changed file is imported again - only the
+ * template itself is reloaded, not the modules it imports.
+ * @param {string} filePath - The path to the template module.
+ * @param {boolean} cache - Whether to reuse the module once it has been imported.
+ * @returns {Promise<Object>} The template module.
+ */
+async function loadTemplate(filePath, cache) {
+  const file = path.resolve(filePath);
+
+  if (cache && templates.has(file)) {
+    return templates.get(file);
+  }
+
+  // the modification time changes the URL, so edits bypass the module cache
+  // without importing an unchanged file again on every request
+  const template = fs.promises
+    .stat(file)
+    .then(({ mtimeMs }) => import(`${pathToFileURL(file).href}?v=${mtimeMs}`));
+
+  if (cache) {
+    // a failed import isn't kept, so fixing the file fixes the next request
+    // without a restart
+    template.catch(() => templates.delete(file));
+    templates.set(file, template);
+  }
+
+  return template;
+}
+
+/**
+ * Renders a template module to HTML. The data returned by the module's
+ * load export is merged into the locals, its default export is called with
+ * them, and its boundData export is bound for the page. Each render gets
+ * its own app, so requests never share data.
+ * @param {string} filePath - The path to the template module.
+ * @param {Object} [locals={}] - The data to render the template with.
+ * @param {boolean} [locals.cache] - Whether to cache the template module. Defaults to true when NODE_ENV is production.
+ * @param {Object} [locals.req] - The request, which is passed to the module's load export.
+ * @returns {Promise<string>} The rendered HTML.
+ */
+export async function renderFile(filePath, locals = {}) {
+  const cache = locals.cache ?? process.env.NODE_ENV === "production";
+  const template = await loadTemplate(filePath, cache);
+
+  if (typeof template.default !== "function") {
+    throw new Error(`${filePath} must export a template function as default`);
+  }
+
+  const data =
+    typeof template.load === "function"
+      ? { ...locals, ...(await template.load(locals.req)) }
+      : locals;
+
+  const app = createApp();
+
+  app.bindData(
+    typeof template.boundData === "function"
+      ? template.boundData(data)
+      : template.boundData
+  );
+
+  return app.renderAsync(template.default(data));
+}
+
+/**
+ * Renders a template module for Express and other frameworks that use its
+ * view engine signature.
+ * @param {string} filePath - The path to the template module.
+ * @param {Object} options - The locals of the render, with Express's settings.
+ * @param {function(Error|null, string=): void} callback - Called with the rendered HTML or an error.
+ * @returns {void}
+ */
+export function __express(filePath, options, callback) {
+  renderFile(filePath, options).then((html) => callback(null, html), callback);
+}
@@ -1,27 +1,228 @@
 // Import all the elements
 import * as e from "./elements.html.js";
 
-// check to see if ./components/components.js exists
-import c from "../../components/components.js";
+import {
+  isSignal,
+  observe,
+  signal,
+  track,
+  trigger,
+  untrack,
+} from "./signals.js";
+import { serializeState, deserializeState } from "./state.js";
+import { Component } from "./component.js";
+import { applyPreloadedStyles } from "./islands.js";
 
-// Standard Library Imports
-let document, fs;
+export { signal, computed, effect } from "./signals.js";
+export { Component } from "./component.js";
+export { setValidationMode } from "./validation.js";
+export { createSanitizer } from "./sanitizer.js";
 
 const isServer = typeof window === "undefined";
 
-if (isServer) {
-  Promise.all([import("jsdom"), import("fs")])
-    .then(([jsdom, fsModule]) => {
-      const { JSDOM } = jsdom;
-      const { window } = new JSDOM(`<!DOCTYPE html><html><body></body></html>`);
-      document = window.document;
-      fs = fsModule;
-    })
-    .catch((err) => {
-      console.error("Failed to load modules:", err);
-    });
-} else {
-  document = window.document;
+// the server renders templates straight to strings, so the document is
+// only ever needed in the browser
+const document = isServer ? null : window.document;
+
+/**
+ * Elements that can't have any content and are serialized without a closing tag.
+ */
+const voidElements = [
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "param",
+  "source",
+  "track",
+  "wbr",
+];
+
+/**
+ * Elements whose text content is serialized as-is instead of being escaped.
+ */
+const rawTextElements = ["script", "style"];
+
+/**
+ * Attributes whose presence means true, so they're removed rather than set
+ * to "false".
+ */
+const booleanAttributes = [
+  "allowfullscreen",
+  "alpha",
+  "async",
+  "autofocus",
+  "autoplay",
+  "checked",
+  "controls",
+  "default",
+  "defer",
+  "disabled",
+  "disablepictureinpicture",
+  "disableremoteplayback",
+  "formnovalidate",
+  "hidden",
+  "inert",
+  "ismap",
+  "itemscope",
+  "loop",
+  "multiple",
+  "muted",
+  "nomodule",
+  "novalidate",
+  "open",
+  "playsinline",
+  "readonly",
+  "required",
+  "reversed",
+  "selected",
+  "shadowrootclonable",
+  "shadowrootdelegatesfocus",
+  "shadowrootserializable",
+];
+
+/**
+ * Attributes that take a keyword for true and false instead of being
+ * present or not, like aria-* attributes, which take "true" and "false".
+ */
+const enumeratedAttributes = {
+  autocomplete: ["on", "off"],
+  autocorrect: ["on", "off"],
+  contenteditable: ["true", "false"],
+  draggable: ["true", "false"],
+  spellcheck: ["true", "false"],
+  translate: ["yes", "no"],
+  writingsuggestions: ["true", "false"],
+};
+
+/**
+ * Keys that are set as DOM properties in the browser. Their attributes only
+ * hold the initial state, which stops showing once the user interacts with
+ * the element.
+ */
+const domProperties = [
+  "value",
+  "checked",
+  "selected",
+  "indeterminate",
+  "muted",
+  "volume",
+  "currentTime",
+  "playbackRate",
+];
+
+/**
+ * DOM properties without an attribute, which the server can't serialize.
+ */
+const propertyOnly = ["indeterminate", "volume", "currentTime", "playbackRate"];
+
+/**
+ * The namespaces of elements and prefixed attributes.
+ */
+const namespaces = {
+  svg: "http://www.w3.org/2000/svg",
+  math: "http://www.w3.org/1998/Math/MathML",
+  xlink: "http://www.w3.org/1999/xlink",
+  xml: "http://www.w3.org/XML/1998/namespace",
+  xmlns: "http://www.w3.org/2000/xmlns/",
+  default: "http://www.w3.org/1999/xhtml",
+};
+
+/**
+ * Gets the URL one of html.js's modules is served from in the browser.
+ * @param {string} file - The file name of the module.
+ * @returns {string} The URL of the module.
+ */
+const getModuleURL = (file) =>
+  `${
+    process.env.NODE_ENV === "production" ? process.env.CDN_BASE_URL : ""
+  }/dist/premmio/htmljs/${file}`;
+
+/**
+ * Checks if a value is a plain object, rather than an array, Date, etc.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is a plain object, false otherwise.
+ */
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+/**
+ * Checks if a template renders nothing, like a component whose template()
+ * returns null.
+ * @param {*} template - The template to check.
+ * @returns {boolean} True if the template renders nothing, false otherwise.
+ */
+const rendersNothing = (template) =>
+  template === null || template === undefined || template.if === false;
+
+/**
+ * Checks if a value is a promise, or anything else that can be awaited.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is a promise, false otherwise.
+ */
+const isPromise = (value) =>
+  value !== null &&
+  (typeof value === "object" || typeof value === "function") &&
+  typeof value.then === "function";
+
+/**
+ * The properties that hold an element's content, which show the fallback
+ * while they're a pending promise.
+ */
+const contentProperties = ["children", "child", "textContent", "innerHTML"];
+
+/**
+ * Wraps a string of trusted markup that is rendered without escaping.
+ */
+class RawHTML {
+  /**
+   * Creates an instance of RawHTML.
+   * @param {string} html - The markup to wrap.
+   */
+  constructor(html) {
+    this.html = String(html);
+  }
+
+  toString() {
+    return this.html;
+  }
+}
+
+/**
+ * Marks a string as trusted markup, which innerHTML renders as HTML rather
+ * than as text. Never pass it anything that comes from a user - sanitize
+ * that instead.
+ * @param {string} html - The trusted markup.
+ * @returns {RawHTML} The wrapped markup.
+ */
+export function raw(html) {
+  return new RawHTML(html);
+}
+
+export { raw as unsafeHTML };
+
+/**
+ * The function that sanitizes untrusted markup passed to innerHTML, if one
+ * has been set.
+ */
+let sanitizer = null;
+
+/**
+ * Sets the function that sanitizes markup passed to innerHTML without the
+ * raw() wrapper. Without a sanitizer, that markup is rendered as text.
+ * @param {function(string): string|null} sanitize - Takes the markup and returns the markup to render, like a sanitizer from createSanitizer(). Null removes the sanitizer.
+ * @returns {void}
+ */
+export function setSanitizer(sanitize) {
+  sanitizer = sanitize;
 }
 
 export function Bind(callback) {
@@ -29,14 +230,370 @@ export function Bind(callback) {
 }
 
 /**
- * The main html.js object.
+ * Binds a function to the data with the given ID, instead of inferring the
+ * ID from the name of the function's first parameter.
+ *
+ * @param {string} bindingId - The _id of the data to bind to.
+ * @param {Function} func - The binding function.
+ * @returns {Function} The bound function.
+ */
+export function bind(bindingId, func) {
+  const bound = (...args) => func(...args);
+
+  bound.bindingId = bindingId;
+
+  // the server serializes bindings by name or from their source, so keep
+  // the original
+  bound.original = func.original || func;
+  bound.toString = () => func.toString();
+
+  return bound;
+}
+
+/**
+ * Functions registered by name, so server-rendered markup can refer to them
+ * without the client having to evaluate their source.
+ */
+const registeredFunctions = new Map();
+
+/**
+ * The names of the registered functions, keyed by function.
+ */
+const functionNames = new Map();
+
+/**
+ * Registers functions by name. Bindings and event listeners that use a
+ * registered function are written by name instead of by source, and looked
+ * up again on the client, so pages work under a Content Security Policy that
+ * doesn't allow eval. Register the same functions on the server and client.
+ * @param {Object<string, Function>} functions - The functions to register, keyed by name.
+ * @returns {void}
+ */
+export function registerFunctions(functions) {
+  Object.keys(functions).forEach((name) => {
+    registeredFunctions.set(name, functions[name]);
+    functionNames.set(functions[name], name);
+  });
+}
+
+/**
+ * The components registered with registerComponents(), keyed by name. Each
+ * entry is a source that bindings using the component subscribe to, so they
+ * re-render once a lazy component has loaded.
+ */
+const registeredComponents = new Map();
+
+/**
+ * A component that is loaded the first time it is used.
  */
-export default {
+class LazyComponent {
   /**
-   * The handlers object for the template engine.
+   * Creates an instance of LazyComponent.
+   * @param {function(): Promise} loader - Loads the component, or a module whose default export is the component.
    */
-  handlers: {},
+  constructor(loader) {
+    this.loader = loader;
+  }
+}
+
+/**
+ * Marks a component to be loaded the first time it is used, rather than
+ * when it is registered.
+ * @param {function(): Promise} loader - Loads the component, or a module whose default export is the component.
+ * @returns {LazyComponent} The lazy component, to pass to registerComponents().
+ */
+export function lazyComponent(loader) {
+  return new LazyComponent(loader);
+}
+
+/**
+ * A component that renders nothing.
+ */
+class Placeholder extends Component {
+  template() {
+    return null;
+  }
+}
+
+/**
+ * Stands in for a lazy component while it is loading. It works whether it is
+ * constructed like a component class or called like a component function.
+ * @returns {Placeholder} A component that renders nothing.
+ */
+function PendingComponent() {
+  return new Placeholder();
+}
+
+/**
+ * Loads a registered component, if it hasn't been loaded already.
+ * @param {string} name - The name the component was registered under.
+ * @returns {Promise} Resolves with the component.
+ */
+function loadComponent(name) {
+  const entry = registeredComponents.get(name);
+  if (!entry) {
+    return Promise.reject(new Error(`No component is registered as "${name}"`));
+  }
+
+  if (entry.component !== undefined) {
+    return Promise.resolve(entry.component);
+  }
+
+  if (!entry.loading) {
+    entry.loading = Promise.resolve(entry.loader()).then((module) => {
+      entry.component = module?.default ?? module;
+      trigger(entry);
+      return entry.component;
+    });
+  }
+
+  return entry.loading;
+}
+
+/**
+ * The registered components, passed to bindings as their third argument.
+ * Using a lazy component that hasn't loaded yet starts loading it, and
+ * renders nothing until it has.
+ */
+const components = new Proxy(
+  {},
+  {
+    get(target, name) {
+      const entry = registeredComponents.get(name);
+      if (!entry) {
+        return undefined;
+      }
+
+      track(entry);
+
+      if (entry.component !== undefined) {
+        return entry.component;
+      }
+
+      if (isServer) {
+        console.warn(
+          `html.js: the "${name}" component hasn't loaded, call loadComponents() before rendering`
+        );
+      }
+
+      loadComponent(name).catch((err) => console.error(err));
+      return PendingComponent;
+    },
+
+    has(target, name) {
+      return registeredComponents.has(name);
+    },
+  }
+);
+
+/**
+ * The custom elements defined with defineElement(), keyed by tag name.
+ */
+const definedElements = new Map();
+
+/**
+ * Reads a prop of a custom element from its attribute, converting it to the
+ * type of the prop's default value.
+ * @param {*} value - The value of the attribute, or null if it isn't set.
+ * @param {*} defaultValue - The default value of the prop.
+ * @returns {*} The value of the prop.
+ */
+function parseProp(value, defaultValue) {
+  if (typeof defaultValue === "boolean") {
+    return (
+      value !== null &&
+      value !== undefined &&
+      value !== false &&
+      value !== "false"
+    );
+  }
+
+  if (value === null || value === undefined) {
+    return defaultValue;
+  }
+
+  return typeof defaultValue === "number" ? Number(value) : value;
+}
+
+/**
+ * Creates the props of a custom element as signals, along with the object
+ * its template reads them from.
+ * @param {Object} definition - The definition of the custom element.
+ * @param {function(string): *} getAttribute - Reads an attribute of the element.
+ * @returns {{signals: Object<string, Signal>, props: Object}} The signals, keyed by prop, and the props.
+ */
+function createProps(definition, getAttribute) {
+  const signals = {},
+    props = {};
+
+  Object.keys(definition.props).forEach((name) => {
+    const defaultValue = definition.props[name];
+
+    signals[name] = signal(
+      parseProp(getAttribute(defaultApp.camelToHyphen(name)), defaultValue)
+    );
+
+    // reading a prop inside a binding subscribes the binding to it
+    Object.defineProperty(props, name, {
+      get: () => signals[name].value,
+      enumerable: true,
+    });
+  });
 
+  return { signals, props };
+}
+
+/**
+ * Renders the template of a custom element with its props.
+ * @param {Object} definition - The definition of the custom element.
+ * @param {Object} props - The props of the element.
+ * @returns {Object} The template.
+ */
+function renderDefinition(definition, props) {
+  return typeof definition.template === "function"
+    ? definition.template(props, e)
+    : definition.template;
+}
+
+/**
+ * Creates the class the browser uses for a custom element.
+ * @param {Object} definition - The definition of the custom element.
+ * @returns {typeof HTMLElement} The custom element class.
+ */
+function createCustomElement(definition) {
+  const names = Object.keys(definition.props);
+
+  class CustomElement extends HTMLElement {
+    static observedAttributes = names.map((name) =>
+      defaultApp.camelToHyphen(name)
+    );
+
+    constructor() {
+      super();
+
+      const { signals, props } = createProps(definition, (attribute) =>
+        this.getAttribute(attribute)
+      );
+      this.signals = signals;
+      this.props = props;
+      this.rendered = false;
+    }
+
+    connectedCallback() {
+      // moving the element around the document doesn't render it again
+      if (this.rendered) {
+        return;
+      }
+      this.rendered = true;
+
+      const template = renderDefinition(definition, this.props);
+
+      if (!definition.shadow) {
+        defaultApp.clearChildren(this);
+        defaultApp.render(
+          template,
+          (element) => element && this.appendChild(element)
+        );
+        return;
+      }
+
+      const root = this.shadowRoot || this.attachShadow({ mode: "open" });
+
+      // a shadow root declared by the server is hydrated rather than
+      // rendered again
+      if (root.firstChild) {
+        const mismatches = [];
+        defaultApp.hydrateNode(root, root.firstChild, template, mismatches);
+        mismatches.forEach(({ node, message }) => {
+          console.warn(`html.js hydration mismatch: ${message}`, node);
+        });
+      } else {
+        defaultApp.render(
+          template,
+          (element) => element && root.appendChild(element)
+        );
+      }
+    }
+
+    disconnectedCallback() {
+      const root = definition.shadow ? this.shadowRoot : this;
+
+      Array.from(root.childNodes).forEach((child) =>
+        defaultApp.removeHandlers(child)
+      );
+      this.rendered = false;
+    }
+
+    attributeChangedCallback(attribute, previous, value) {
+      const name = names.find(
+        (name) => defaultApp.camelToHyphen(name) === attribute
+      );
+      this.signals[name].value = parseProp(value, definition.props[name]);
+    }
+  }
+
+  // props can be set as properties as well as attributes
+  names.forEach((name) => {
+    Object.defineProperty(CustomElement.prototype, name, {
+      get() {
+        return this.signals[name].value;
+      },
+      set(value) {
+        this.signals[name].value = value;
+      },
+    });
+  });
+
+  return CustomElement;
+}
+
+/**
+ * Defines a custom element whose content is rendered by html.js. Its props
+ * are read from attributes named after them, and its template is re-rendered
+ * wherever it reads a prop that changes. On the server, elements with a
+ * shadow root are rendered as Declarative Shadow DOM.
+ * @param {string} name - The tag name of the element, which must contain a hyphen.
+ * @param {Object|function(Object, Object): Object} template - The template of the element, or a function that returns it from the props and the element library.
+ * @param {Object} [options] - The options for the element.
+ * @param {Object} [options.props] - The props of the element, with their default values.
+ * @param {boolean} [options.shadow=true] - Whether the template is rendered into a shadow root.
+ * @returns {typeof Element} An element class for using the custom element in templates.
+ */
+export function defineElement(name, template, options = {}) {
+  const definition = {
+    template,
+    props: options.props || {},
+    shadow: options.shadow !== false,
+  };
+  definedElements.set(name, definition);
+
+  if (!isServer && !customElements.get(name)) {
+    customElements.define(name, createCustomElement(definition));
+  }
+
+  return class extends e.Element {
+    constructor(params) {
+      super(params);
+      this.tagName = name;
+      this.initialize(params);
+
+      // props are written as hyphenated attributes, like the element reads them
+      if (params && typeof params === "object" && !Array.isArray(params)) {
+        Object.keys(definition.props).forEach((prop) => {
+          if (params[prop] !== undefined) {
+            delete this[prop];
+            this[defaultApp.camelToHyphen(prop)] = params[prop];
+          }
+        });
+      }
+    }
+  };
+}
+
+/**
+ * The methods shared by every html.js app.
+ */
+const App = {
   /**
    * Recursively merges properties of the source object into the target object.
    *
@@ -46,8 +603,9 @@ export default {
    */
   deepMerge(target, source) {
     for (const key in source) {
-      if (source[key] && typeof source[key] === "object") {
-        if (!target[key] || typeof target[key] !== "object") {
+      // arrays and other objects replace the value rather than merging into it
+      if (isPlainObject(source[key])) {
+        if (!isPlainObject(target[key])) {
           target[key] = {};
         }
         this.deepMerge(target[key], source[key]);
@@ -102,6 +660,13 @@ export default {
          * @returns {boolean} True if the value was set successfully, false otherwise.
          */
         set(target, bindingId, value, receiver) {
+          // work out what is changing before the merge overwrites it
+          const changes = self.getChangedPaths(
+            bindingId,
+            self.data[bindingId],
+            value
+          );
+
           // create a copy of the binding
           let binding = { ...self.data[bindingId] };
 
@@ -111,13 +676,33 @@ export default {
           // Use Reflect.set to perform the assignment and get the result
           const result = Reflect.set(target, bindingId, binding, receiver);
 
+          // Notify the bindings that read any of the changed properties
+          changes.forEach((path) => {
+            self.sources.forEach((source) => {
+              if (
+                source.path === path ||
+                source.path.startsWith(`${path}.`) ||
+                path.startsWith(`${source.path}.`)
+              ) {
+                trigger(source);
+              }
+            });
+          });
+
           // Get the handlers for this bindingId
           const handlers = self.handlers[bindingId]; // Use the captured `this` context
 
-          // If there are handlers, loop through them and emit the binding
-          if (handlers) {
+          // Bindings that haven't read anything from the data can't tell
+          // what they depend on, so they are emitted on any change
+          if (handlers && changes.length > 0) {
             handlers.forEach((binding) => {
-              self.emitBinding(bindingId, binding); // Use the captured `this` context
+              const readsData = Array.from(binding.dependencies || []).some(
+                (source) => source.bindingId === bindingId
+              );
+
+              if (!readsData) {
+                self.schedule(binding); // Use the captured `this` context
+              }
             });
           }
 
@@ -129,87 +714,313 @@ export default {
   },
 
   /**
-   * The data object for the template engine.
+   * Lists the paths of the properties an update changes.
+   * @param {string} path - The path of the data being updated.
+   * @param {*} previous - The current value of the data.
+   * @param {*} value - The update being merged into it.
+   * @returns {string[]} The paths of the changed properties.
    */
-  data: null,
+  getChangedPaths(path, previous, value) {
+    if (!isPlainObject(value)) {
+      return Object.is(previous, value) ? [] : [path];
+    }
+
+    const paths = [];
+    for (const key in value) {
+      const oldValue = previous ? previous[key] : undefined;
+
+      if (isPlainObject(value[key]) && isPlainObject(oldValue)) {
+        paths.push(...this.getChangedPaths(`${path}.${key}`, oldValue, value[key]));
+      } else if (!Object.is(oldValue, value[key])) {
+        paths.push(`${path}.${key}`);
+      }
+    }
+    return paths;
+  },
 
   /**
-   * Initializes the template engine.
-   * @returns {void}
+   * Gets the source that bindings subscribe to for a property of the data.
+   * @param {string} bindingId - The ID of the data.
+   * @param {string} path - The path of the property.
+   * @returns {Object} The source.
    */
-  init() {
-    this.data = this.createDataProxy();
+  getDataSource(bindingId, path) {
+    if (!this.sources.has(path)) {
+      this.sources.set(path, { bindingId, path, subscribers: new Set() });
+    }
+    return this.sources.get(path);
   },
 
   /**
-   * Generates a unique ID.
-   * @returns {string} The unique ID.
+   * Wraps bound data so every property a binding reads is tracked as one
+   * of its dependencies.
+   * @param {string} bindingId - The ID of the data.
+   * @param {*} [value] - The value to wrap, defaults to the bound data.
+   * @param {string} [path] - The path of the value.
+   * @returns {*} The tracked value.
    */
-  generateUniqueId() {
-    return "_" + Math.random().toString(36).substr(2, 9);
+  trackData(bindingId, value = this.data[bindingId], path = bindingId) {
+    if (!isPlainObject(value) && !Array.isArray(value)) {
+      return value;
+    }
+
+    const self = this;
+
+    return new Proxy(value, {
+      get(target, key, receiver) {
+        const result = Reflect.get(target, key, receiver);
+
+        // only the data's own properties are tracked, not methods like map
+        if (
+          typeof key !== "string" ||
+          (key in target && !Object.prototype.hasOwnProperty.call(target, key))
+        ) {
+          return result;
+        }
+
+        const childPath = `${path}.${key}`;
+
+        // objects are tracked through whatever is read from them
+        if (isPlainObject(result) || Array.isArray(result)) {
+          return self.trackData(bindingId, result, childPath);
+        }
+
+        track(self.getDataSource(bindingId, childPath));
+        return result;
+      },
+
+      has(target, key) {
+        track(self.getDataSource(bindingId, path));
+        return Reflect.has(target, key);
+      },
+
+      ownKeys(target) {
+        track(self.getDataSource(bindingId, path));
+        return Reflect.ownKeys(target);
+      },
+    });
   },
 
   /**
-   * Converts a camelCase string to a hyphenated string.
-   * @param {string} str - The camelCase string to convert.
-   * @returns {string} The hyphenated string.
+   * Runs a binding's function, tracking the data and signals it reads so it
+   * is only emitted again when one of them changes.
+   * @param {Object} handler - The handler of the binding.
+   * @returns {*} The value returned by the binding.
    */
-  camelToHyphen(str) {
-    return str.replace(/[A-Z]/g, (match) => "-" + match.toLowerCase());
+  runBinding(handler) {
+    if (!handler.notify) {
+      handler.notify = () => this.schedule(handler);
+    }
+
+    return observe(handler, () =>
+      handler.func(this.trackData(handler.bindingId), e, components)
+    );
   },
 
   /**
-   * Sets an attribute on an element.
-   * @param {Element} element - The element to set the attribute on.
-   * @param {string} key - The key of the attribute.
-   * @param {string} value - The value of the attribute.
-   * @param {string} bindingId - The ID of the binding.
-   * @param {number} depth - The depth of the rendering.
+   * Schedules a handler to be emitted with the next render. Every write to
+   * the data within the same tick is rendered together, once per frame.
+   * @param {Object} handler - The handler to emit.
    * @returns {void}
    */
-  setElementAttribute(element, key, value, bindingId, depth) {
-    const binding = this.data[bindingId];
-
-    const nonAttributes = [
-      "children",
-      "prepend",
-      "append",
-      "child",
-      "tagName",
-      "textContent",
-      "innerHTML",
-      "if",
-      "style",
-    ];
+  schedule(handler) {
+    this.queue.add(handler);
 
-    if (!nonAttributes.includes(key)) {
-      this.setAttribute(element, key, value);
-    } else if (key === "style") {
-      this.setStyle(element, value);
-    } else if (key === "innerHTML") {
-      this.setInnerHTML(element, value);
-    } else if (key === "prepend") {
-      this.prependChild(element, value, bindingId, depth);
-    } else if (key === "children" || key === "child") {
-      this.setChildren(element, key, value, binding, bindingId, depth);
-    } else if (key === "textContent") {
-      this.setTextContent(element, value);
-    } else if (key === "append") {
-      this.appendChild(element, value, bindingId, depth);
+    if (this.scheduled) {
+      return;
     }
+
+    this.scheduled = true;
+
+    const requestRender =
+      typeof requestAnimationFrame === "function"
+        ? requestAnimationFrame
+        : queueMicrotask;
+
+    requestRender(() => this.flush());
   },
 
   /**
-   * Sets an attribute on an element.
-   * @param {Element} element - The element to set the attribute on.
-   * @param {string} key - The key of the attribute.
-   * @param {string} value - The value of the attribute.
+   * Emits every scheduled handler straight away.
    * @returns {void}
    */
-  setAttribute(element, key, value) {
-    element.removeAttribute(key);
+  flush() {
+    this.scheduled = false;
+
+    // emitting a binding can update the data again, so keep going
+    // until nothing is left
+    while (this.queue.size > 0) {
+      const queue = Array.from(this.queue);
+      this.queue.clear();
+
+      queue.forEach((handler) => {
+        // skip handlers whose elements were removed since they were scheduled
+        if (this.handlers[handler.bindingId]?.includes(handler)) {
+          this.emitBinding(handler.bindingId, handler);
+        }
+      });
+    }
+
+    const callbacks = this.renderCallbacks;
+    this.renderCallbacks = [];
+    callbacks.forEach((callback) => callback());
+  },
+
+  /**
+   * Waits for the next render to finish.
+   * @returns {Promise<void>} Resolves once the scheduled updates have been rendered.
+   */
+  nextRender() {
+    return new Promise((resolve) => {
+      if (this.scheduled) {
+        this.renderCallbacks.push(resolve);
+      } else {
+        resolve();
+      }
+    });
+  },
+
+  /**
+   * Registers components by name, making them available to bindings as
+   * their third argument. Wrap a component in lazyComponent() to load it
+   * the first time it is used.
+   * @param {Object<string, Function|LazyComponent>} components - The components to register, keyed by name.
+   * @returns {void}
+   */
+  registerComponents(components) {
+    Object.keys(components).forEach((name) => {
+      const entry = registeredComponents.get(name) || {
+        subscribers: new Set(),
+      };
+      const component = components[name];
+
+      if (component instanceof LazyComponent) {
+        entry.component = undefined;
+        entry.loader = component.loader;
+        entry.loading = null;
+      } else {
+        entry.component = component;
+      }
+
+      registeredComponents.set(name, entry);
+
+      // re-render anything that used the component under this name before
+      trigger(entry);
+    });
+  },
+
+  /**
+   * Loads lazy components ahead of time. On the server, call this before
+   * rendering anything that uses them.
+   * @param {...string} names - The names of the components to load. Loads every registered component if none are given.
+   * @returns {Promise<Array>} Resolves with the components once they have loaded.
+   */
+  loadComponents(...names) {
+    const loading = names.length > 0 ? names : registeredComponents.keys();
+
+    return Promise.all(Array.from(loading, (name) => loadComponent(name)));
+  },
+
+  /**
+   * Initializes the template engine.
+   * @returns {void}
+   */
+  init() {
+    this.data = this.createDataProxy();
+  },
+
+  /**
+   * Generates a unique ID.
+   * @returns {string} The unique ID.
+   */
+  generateUniqueId() {
+    return `_${this.idPrefix}${(this.nextId++).toString(36)}`;
+  },
+
+  /**
+   * Converts a camelCase string to a hyphenated string.
+   * @param {string} str - The camelCase string to convert.
+   * @returns {string} The hyphenated string.
+   */
+  camelToHyphen(str) {
+    return str.replace(/[A-Z]/g, (match) => "-" + match.toLowerCase());
+  },
+
+  /**
+   * Sets an attribute on an element.
+   * @param {Element} element - The element to set the attribute on.
+   * @param {string} key - The key of the attribute.
+   * @param {string} value - The value of the attribute.
+   * @param {string} bindingId - The ID of the binding.
+   * @param {number} depth - The depth of the rendering.
+   * @returns {void}
+   */
+  setElementAttribute(element, key, value, bindingId, depth) {
+    const nonAttributes = [
+      "children",
+      "prepend",
+      "append",
+      "child",
+      "tagName",
+      "textContent",
+      "innerHTML",
+      "if",
+      "style",
+      "on",
+      "key",
+      "bind",
+      "attrs",
+      "fallback",
+    ];
+
+    if (isPromise(value)) {
+      this.renderPending(element, key, value, null, depth);
+    } else if (this.isDomProperty(element, key)) {
+      this.setProperty(element, key, value);
+    } else if (!nonAttributes.includes(key)) {
+      this.setAttribute(element, key, value);
+    } else if (key === "attrs") {
+      this.setAttrs(element, value);
+    } else if (key === "style") {
+      this.setStyle(element, value);
+    } else if (key === "on") {
+      this.setEvents(element, value);
+    } else if (key === "key") {
+      this.setAttribute(element, "data-key", value);
+    } else if (key === "innerHTML") {
+      this.setInnerHTML(element, value);
+    } else if (key === "prepend") {
+      this.prependChild(element, value, depth);
+    } else if (key === "children" || key === "child") {
+      this.setChildren(element, key, value, depth);
+    } else if (key === "textContent") {
+      this.setTextContent(element, value);
+    } else if (key === "append") {
+      this.appendChild(element, value, depth);
+    }
+  },
+
+  /**
+   * Sets an attribute on an element.
+   * @param {Element} element - The element to set the attribute on.
+   * @param {string} key - The key of the attribute.
+   * @param {string} value - The value of the attribute.
+   * @returns {void}
+   */
+  setAttribute(element, key, value) {
+    element.removeAttribute(key);
+    value = this.formatAttribute(key, value);
+    if (value === null) {
+      return;
+    }
+
     const hasUpperCase = /[A-Z]/.test(key);
-    if (hasUpperCase) {
+    const prefix = key.includes(":") ? key.split(":")[0] : null;
+
+    // xlink:href, xml:lang, etc. belong to their own namespace
+    if (namespaces[prefix] && prefix !== "default") {
+      element.setAttributeNS(namespaces[prefix], key, value);
+    } else if (hasUpperCase) {
       element.setAttributeNS(null, key, value);
     } else {
       element.setAttribute(key, value);
@@ -217,328 +1028,2534 @@ export default {
   },
 
   /**
-   * Sets the style of an element.
-   * @param {Element} element - The element to set the style on.
-   * @param {string|Object} value - The style to set.
-   * @returns {void}
+   * Checks if a key is set as a DOM property of an element rather than an
+   * attribute.
+   * @param {Element} element - The element to check.
+   * @param {string} key - The key to check.
+   * @returns {boolean} True if the key is set as a property, false otherwise.
+   */
+  isDomProperty(element, key) {
+    return domProperties.includes(key) && key in element;
+  },
+
+  /**
+   * Sets a DOM property of an element. Removing the value resets the
+   * property to empty or false.
+   * @param {Element} element - The element to set the property on.
+   * @param {string} key - The name of the property.
+   * @param {*} value - The value of the property.
+   * @returns {void}
+   */
+  setProperty(element, key, value) {
+    if (value === null || value === undefined) {
+      const current = element[key];
+      value =
+        typeof current === "boolean"
+          ? false
+          : typeof current === "string"
+          ? ""
+          : current;
+    }
+
+    // only write when it differs, so the caret doesn't jump while typing
+    if (element[key] !== value) {
+      element[key] = value;
+    }
+  },
+
+  /**
+   * Formats a value as it's written to an attribute.
+   * @param {string} key - The key of the attribute.
+   * @param {*} value - The value of the attribute.
+   * @returns {string|null} The formatted value, or null if the attribute shouldn't be set.
+   */
+  formatAttribute(key, value) {
+    if (typeof value === "boolean") {
+      const keywords = key.startsWith("aria-")
+        ? ["true", "false"]
+        : enumeratedAttributes[key];
+
+      if (keywords) {
+        return value ? keywords[0] : keywords[1];
+      }
+
+      if (!value) {
+        return null;
+      }
+
+      return booleanAttributes.includes(key) ? "" : "true";
+    }
+
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    return String(value);
+  },
+
+  /**
+   * Sets the attributes passed through attrs, removing the ones that were
+   * set last time but aren't anymore.
+   * @param {Element} element - The element to set the attributes on.
+   * @param {Object} attrs - The attributes, keyed by name.
+   * @param {Object} [previous={}] - The attributes set last time.
+   * @returns {void}
+   */
+  setAttrs(element, attrs, previous = {}) {
+    for (let key in previous) {
+      if (attrs[key] === null || attrs[key] === undefined) {
+        element.removeAttribute(key);
+      }
+    }
+
+    for (let key in attrs) {
+      if (
+        attrs[key] !== null &&
+        attrs[key] !== undefined &&
+        attrs[key] !== previous[key]
+      ) {
+        this.setAttribute(element, key, attrs[key]);
+      }
+    }
+  },
+
+  /**
+   * Sets the style of an element.
+   * @param {Element} element - The element to set the style on.
+   * @param {string|Object} value - The style to set.
+   * @returns {void}
+   */
+  setStyle(element, value) {
+    element.setAttribute("style", this.formatStyle(value));
+  },
+
+  /**
+   * Formats a style value as a style attribute string.
+   * @param {string|Object} value - The style to format.
+   * @returns {string} The formatted style.
+   */
+  formatStyle(value) {
+    let style = "";
+    if (typeof value === "string") {
+      style = value;
+    } else if (typeof value === "object") {
+      for (let key in value) {
+        const property = key.includes("-") ? key : this.camelToHyphen(key);
+        style += `${property}:${value[key]};`;
+      }
+    }
+    return style;
+  },
+
+  /**
+   * Attaches event listeners to an element, replacing any listeners
+   * previously attached through html.js.
+   * @param {Element} element - The element to attach the listeners to.
+   * @param {Object} events - The listeners, keyed by event name.
+   * @returns {void}
+   */
+  setEvents(element, events) {
+    const previous = this.listeners.get(element) || {};
+    for (let event in previous) {
+      element.removeEventListener(event, previous[event]);
+    }
+
+    for (let event in events) {
+      element.addEventListener(event, events[event]);
+    }
+
+    this.listeners.set(element, { ...events });
+  },
+
+  /**
+   * Re-attaches the event listeners serialized by the server.
+   * @param {Object} manifest - The listener sources, keyed by event ID and event name.
+   * @returns {void}
+   */
+  restoreEvents(manifest) {
+    Object.keys(manifest).forEach((eventId) => {
+      const element = document.querySelector(`[data-event-id="${eventId}"]`);
+      if (!element) {
+        return;
+      }
+
+      const events = {};
+      for (let event in manifest[eventId]) {
+        events[event] = this.resolveFunction(manifest[eventId][event]);
+      }
+
+      this.setEvents(element, events);
+    });
+  },
+
+  /**
+   * Applies the stylesheets preloaded by PreLoadStyle on pages with a
+   * nonce, where their inline onload handler is left out.
+   * @returns {void}
+   */
+  applyPreloadedStyles() {
+    applyPreloadedStyles();
+  },
+
+  /**
+   * Registers the bindings the server wrote into data-bind-to attributes.
+   * @returns {void}
+   */
+  restoreBindings() {
+    const hyphenToCamelCase = (str) =>
+      str.replace(/-([a-z])/g, (g) => g[1].toUpperCase());
+
+    document.querySelectorAll("[data-binding-id]").forEach((element) => {
+      const bindingId = element.getAttribute("data-binding-id");
+
+      Array.from(element.attributes).forEach((attr) => {
+        if (attr.name.startsWith("data-bind-to-")) {
+          let property = attr.name.slice("data-bind-to-".length);
+          if (!property.startsWith("data-")) {
+            property = hyphenToCamelCase(property);
+          }
+          try {
+            const func = this.resolveFunction(attr.value);
+            if (typeof func === "function") {
+              this.addHandler(bindingId, { element, property, func });
+            }
+          } catch (e) {
+            // Ignore attributes that are not functions
+          }
+        }
+      });
+    });
+  },
+
+  /**
+   * Hydrates server-rendered markup in place. The existing DOM is walked
+   * against the same template used on the server: nodes are reused, bindings
+   * and event listeners are wired up, and anything that doesn't match the
+   * template is reported and re-rendered.
+   * @param {string|Element} rootSelector - The query for the element the template was rendered into, or the element itself.
+   * @param {Object} template - The template the markup was rendered from.
+   * @param {Object|Object[]} [data] - The data to bind before hydrating.
+   * @returns {Array<{node: Node, message: string}>} The mismatches found between the server and client output.
+   */
+  hydrate(rootSelector, template, data) {
+    const root =
+      typeof rootSelector === "string"
+        ? document.querySelector(rootSelector)
+        : rootSelector;
+    if (!root) {
+      throw new Error(`Cannot hydrate, no element matches "${rootSelector}"`);
+    }
+
+    this.bindData(data);
+
+    const mismatches = [];
+    this.hydrateNode(root.parentNode, root, template, mismatches);
+
+    mismatches.forEach(({ node, message }) => {
+      console.warn(`html.js hydration mismatch: ${message}`, node);
+    });
+
+    return mismatches;
+  },
+
+  /**
+   * Hydrates a single node against its template, replacing it if it
+   * doesn't match.
+   * @param {Node} parent - The parent of the node.
+   * @param {Node|undefined} node - The server-rendered node, if there is one.
+   * @param {Object|string} template - The template for the node.
+   * @param {Array} mismatches - The list to report mismatches to.
+   * @returns {void}
+   */
+  hydrateNode(parent, node, template, mismatches) {
+    const replace = (message) => {
+      mismatches.push({ node: node || parent, message });
+
+      const rendered = this.renderNode(
+        template,
+        0,
+        this.getChildNamespace(parent)
+      );
+      if (node) {
+        parent.replaceChild(rendered, node);
+      } else {
+        parent.appendChild(rendered);
+      }
+    };
+
+    if (typeof template === "string" || typeof template === "number") {
+      if (!node || node.nodeType !== Node.TEXT_NODE) {
+        return replace(`expected the text "${template}"`);
+      }
+
+      if (node.nodeValue !== String(template)) {
+        mismatches.push({
+          node,
+          message: `expected the text "${template}" but found "${node.nodeValue}"`,
+        });
+        node.nodeValue = String(template);
+      }
+      return;
+    }
+
+    if (rendersNothing(template)) {
+      if (!node || node.nodeType !== Node.COMMENT_NODE) {
+        return replace("expected an empty component");
+      }
+      return;
+    }
+
+    // a lazy component that's still loading keeps the server's markup, and
+    // replaces it once it has loaded
+    if (template instanceof Placeholder && node) {
+      this.expandComponent(template);
+      this.mountComponent(template, node);
+      return;
+    }
+
+    // components hydrate their template, and are mounted on the result
+    if (template instanceof Component) {
+      const index = node
+        ? Array.prototype.indexOf.call(parent.childNodes, node)
+        : parent.childNodes.length;
+
+      this.hydrateNode(
+        parent,
+        node,
+        this.expandComponent(template),
+        mismatches
+      );
+      this.mountComponent(template, parent.childNodes[index]);
+      return;
+    }
+
+    const tagName = template.tagName || "div";
+    if (
+      !node ||
+      node.nodeType !== Node.ELEMENT_NODE ||
+      node.tagName.toLowerCase() !== tagName.toLowerCase()
+    ) {
+      return replace(`expected a <${tagName}> element`);
+    }
+
+    const { attributes, content, bindings, events } = this.collectTemplate(
+      template,
+      { hydrating: true }
+    );
+
+    bindings.forEach(({ bindingId, property, func, value, handler }) => {
+      // bindings already ran while collecting, signals run here
+      const ran = handler !== undefined;
+      handler = handler || { func, property };
+      handler.element = node;
+
+      this.addHandler(bindingId, handler);
+
+      // the server rendered what the promise resolved to, which stays
+      // until the client's own promise resolves
+      const result = ran ? value : this.runBinding(handler);
+      if (isPromise(result)) {
+        this.renderPending(node, property, result, null, 0, handler);
+      } else {
+        handler.previous = result;
+      }
+    });
+
+    if (events) {
+      this.setEvents(node, events);
+    }
+
+    attributes.forEach((value, key) => {
+      // the server's binding and listener bookkeeping isn't part of the
+      // markup - the sources differ once the client's code is minified
+      if (
+        key === "data-binding-id" ||
+        key === "data-event-id" ||
+        key.startsWith("data-bind-to-")
+      ) {
+        return;
+      }
+
+      const actual = node.getAttribute(key);
+      if (actual !== String(value)) {
+        mismatches.push({
+          node,
+          message: `expected ${key}="${value}" on <${tagName}> but found ${
+            actual === null ? "nothing" : `"${actual}"`
+          }`,
+        });
+        this.setAttribute(node, key, value);
+      }
+    });
+
+    // properties without an attribute aren't in the markup, so they're set
+    // on the node directly - bound ones were already set by their binding
+    propertyOnly.forEach((key) => {
+      const value = template[key];
+      if (
+        value !== undefined &&
+        typeof value !== "function" &&
+        !isSignal(value) &&
+        key in node
+      ) {
+        this.setProperty(node, key, value);
+      }
+    });
+
+    // markup set through innerHTML is trusted as the server wrote it, and
+    // so is content that's still loading
+    if (
+      content.some((item) => item instanceof RawHTML) ||
+      contentProperties.some((key) => isPromise(template[key])) ||
+      bindings.some(
+        ({ property, value }) =>
+          isPromise(value) && contentProperties.includes(property)
+      )
+    ) {
+      return;
+    }
+
+    // the parser merges adjacent text, so the template has to as well
+    const expected = [];
+    content.forEach((item) => {
+      if (!item && item !== 0) {
+        return;
+      }
+
+      if (item.if === false) {
+        return;
+      }
+
+      const previous = expected.length - 1;
+      if (
+        (typeof item === "string" || typeof item === "number") &&
+        typeof expected[previous] === "string"
+      ) {
+        expected[previous] += item;
+      } else {
+        expected.push(typeof item === "number" ? String(item) : item);
+      }
+    });
+
+    const childNodes = Array.from(node.childNodes);
+    expected.forEach((child, i) => {
+      // the server rendered what the promise resolved to, which is
+      // hydrated once the client's own promise resolves
+      if (isPromise(child)) {
+        child.then(
+          (value) => this.hydrateNode(node, childNodes[i], value, mismatches),
+          (error) =>
+            console.error("html.js: a promise in the template rejected", error)
+        );
+        return;
+      }
+
+      this.hydrateNode(node, childNodes[i], child, mismatches);
+    });
+
+    childNodes.slice(expected.length).forEach((extra) => {
+      mismatches.push({
+        node: extra,
+        message: `unexpected node in <${tagName}>`,
+      });
+      node.removeChild(extra);
+    });
+  },
+
+  /**
+   * Sets the innerHTML of an element. Only trusted or sanitized markup is
+   * parsed as HTML, anything else is set as text.
+   * @param {Element} element - The element to set the inner HTML on.
+   * @param {string|RawHTML} value - The inner HTML to set.
+   * @returns {void}
+   */
+  setInnerHTML(element, value) {
+    const html = this.getInnerHTML(value);
+
+    element.innerHTML = "";
+    if (html instanceof RawHTML) {
+      element.innerHTML = html.html;
+    } else {
+      element.textContent = html;
+    }
+  },
+
+  /**
+   * Gets what to render for an innerHTML value. Markup wrapped in raw() is
+   * trusted, and anything else goes through the sanitizer if one is set, or
+   * is treated as text if not.
+   * @param {string|RawHTML} value - The innerHTML value.
+   * @returns {RawHTML|string} The markup to render as HTML, or the text to render.
+   */
+  getInnerHTML(value) {
+    if (value instanceof RawHTML) {
+      return value;
+    }
+
+    if (sanitizer) {
+      return new RawHTML(sanitizer(String(value)));
+    }
+
+    return String(value);
+  },
+
+  /**
+   * Prepends a child to an element.
+   * @param {Element} element - The element to prepend the child to.
+   * @param {string|Object} value - The value to prepend.
+   * @param {number} depth - The depth of the rendering.
+   * @returns {void}
+   */
+  prependChild(element, value, depth) {
+    if (typeof value !== "object") {
+      element.prepend(document.createTextNode(value));
+    } else {
+      const childElement = this.render(
+        value,
+        null,
+        depth + 1,
+        this.getChildNamespace(element)
+      );
+      if (childElement !== null) {
+        element.prepend(childElement);
+      }
+    }
+  },
+
+  /**
+   * Sets the children of an element.
+   * @param {Element} element - The element to set the children on.
+   * @param {string} key - The key of the children.
+   * @param {Array} value - The value of the children.
+   * @param {number} depth - The depth of the rendering.
+   */
+  setChildren(element, key, value, depth) {
+    const children = key === "children" ? value : [value];
+
+    // keyed children the server rendered are matched up with the existing
+    // nodes instead of re-rendering everything
+    if (
+      value !== null &&
+      element.children.length > 0 &&
+      this.isKeyed(children)
+    ) {
+      this.patchChildren(element, null, children, depth);
+      return;
+    }
+
+    if (element.children.length > 0 || value === null) {
+      this.clearChildren(element);
+      if (value === null) return;
+    }
+    children.forEach((child) => {
+      const childElement = this.render(
+        child,
+        null,
+        depth + 1,
+        this.getChildNamespace(element)
+      );
+      if (childElement !== null) {
+        element.appendChild(childElement);
+      }
+    });
+  },
+
+  /**
+   * Checks if every child to be rendered has a key.
+   * @param {Array} children - The children to check.
+   * @returns {boolean} True if the children are keyed, false otherwise.
+   */
+  isKeyed(children) {
+    const rendered = children.filter((child) => child && child.if !== false);
+
+    return (
+      rendered.length > 0 &&
+      rendered.every(
+        (child) =>
+          typeof child === "object" &&
+          child.key !== undefined &&
+          child.key !== null
+      )
+    );
+  },
+
+  /**
+   * Sets the text content of an element.
+   * @param {Element} element - The element to set the text content on.
+   * @param {string} value - The value of the text content.
+   * @returns {void}
+   */
+  setTextContent(element, value) {
+    element.textContent = "";
+    element.appendChild(document.createTextNode(value));
+  },
+
+  /**
+   * Appends a child
+   * @param {Element} element - The element to append the child to.
+   * @param {string|Object} value - The value to append.
+   * @param {number} depth - The depth of the rendering.
+   * @returns {void}
+   */
+  appendChild(element, value, depth) {
+    if (typeof value !== "object") {
+      element.appendChild(document.createTextNode(value));
+    } else {
+      const childElement = this.render(
+        value,
+        null,
+        depth + 1,
+        this.getChildNamespace(element)
+      );
+      if (childElement !== null) {
+        element.appendChild(childElement);
+      }
+    }
+  },
+
+  /**
+   * Reviews the binding and emits the value.
+   * @param {string} binding the binding to review
+   * @param {Object} data the data object the value is coming from
+   */
+  emitBinding(bindingId, binding) {
+    const { element, func, property } = binding;
+
+    // for server-side binding, the func will be the name or source of
+    // the function so we will need to resolve it
+    if (typeof func === "string") {
+      binding.func = this.resolveFunction(func);
+    }
+
+    const value = this.runBinding(binding);
+
+    if (isPromise(value)) {
+      this.renderPending(element, property, value, null, 0, binding);
+      return;
+    }
+    binding.pending = undefined;
+
+    // once we know what the binding rendered last time, only the
+    // difference needs to be applied
+    if (binding.previous !== undefined) {
+      this.patchProperty(element, property, binding.previous, value, 0);
+    } else {
+      this.setElementAttribute(element, property, value, bindingId, 0);
+    }
+
+    binding.previous = value;
+  },
+
+  /**
+   * Patches a node rendered from one template so it matches another,
+   * reusing the node wherever the two templates are compatible.
+   * @param {Node} node - The node rendered from the previous template.
+   * @param {Object|string} previous - The template the node was rendered from.
+   * @param {Object|string} template - The template to patch the node to.
+   * @param {number} depth - The depth of the rendering.
+   * @returns {Node} The patched node, or the node that replaced it.
+   */
+  patch(node, previous, template, depth) {
+    if (previous === template) {
+      return node;
+    }
+
+    if (rendersNothing(template)) {
+      return rendersNothing(previous)
+        ? node
+        : this.replaceNode(node, template, depth);
+    }
+
+    const isText = (value) =>
+      typeof value === "string" || typeof value === "number";
+
+    if (isText(template)) {
+      if (isText(previous) && node.nodeType === Node.TEXT_NODE) {
+        if (node.nodeValue !== String(template)) {
+          node.nodeValue = String(template);
+        }
+        return node;
+      }
+      return this.replaceNode(node, template, depth);
+    }
+
+    if (previous instanceof Component || template instanceof Component) {
+      return this.patchComponent(node, previous, template, depth);
+    }
+
+    if (!this.canPatch(node, previous, template)) {
+      return this.replaceNode(node, template, depth);
+    }
+
+    const keys = new Set([...Object.keys(previous), ...Object.keys(template)]);
+    keys.forEach((key) => {
+      if (key === "tagName" || key === "if" || key === "bind") {
+        return;
+      }
+
+      let oldValue = previous[key],
+        value = template[key];
+
+      if (isSignal(value)) {
+        const signal = value;
+        value = () => signal.value;
+      }
+
+      // a bound property was last rendered with whatever its handler returned
+      if (typeof oldValue === "function" || isSignal(oldValue)) {
+        oldValue = this.takeHandler(node, key)?.previous;
+      }
+
+      if (typeof value === "function") {
+        value = this.applyBindProperty(template, value);
+        this.processFunctionValue(node, key, value, depth, oldValue);
+      } else {
+        this.patchProperty(node, key, oldValue, value, depth);
+      }
+    });
+
+    return node;
+  },
+
+  /**
+   * Checks if a node can be patched in place from one template to another.
+   * Elements whose content is built from more than one property are
+   * re-rendered instead, since their child nodes can't be matched up.
+   * @param {Node} node - The node rendered from the previous template.
+   * @param {Object|string} previous - The template the node was rendered from.
+   * @param {Object} template - The template to patch the node to.
+   * @returns {boolean} True if the node can be patched, false otherwise.
+   */
+  canPatch(node, previous, template) {
+    const hasMixedContent = (value) =>
+      value.prepend !== undefined ||
+      value.append !== undefined ||
+      ((value.textContent !== undefined || value.innerHTML !== undefined) &&
+        (value.children !== undefined || value.child !== undefined));
+
+    return (
+      previous !== null &&
+      typeof previous === "object" &&
+      node.nodeType === Node.ELEMENT_NODE &&
+      (previous.tagName || "div") === (template.tagName || "div") &&
+      !hasMixedContent(previous) &&
+      !hasMixedContent(template)
+    );
+  },
+
+  /**
+   * Renders a template to a node that can be patched or mounted on later.
+   * A template that renders nothing is an empty comment, which the server
+   * writes for it too.
+   * @param {Object|string|null} template - The template to render.
+   * @param {number} depth - The depth of the rendering.
+   * @param {string} [namespace] - The namespace of the element being rendered into.
+   * @returns {Node} The rendered node.
+   */
+  renderNode(template, depth, namespace) {
+    if (rendersNothing(template)) {
+      return document.createComment("");
+    }
+
+    return this.render(template, null, depth, namespace);
+  },
+
+  /**
+   * Replaces a node with a fresh render of a template.
+   * @param {Node} node - The node to replace.
+   * @param {Object|string} template - The template to render.
+   * @param {number} depth - The depth of the rendering.
+   * @returns {Node} The new node.
+   */
+  replaceNode(node, template, depth) {
+    const rendered = this.renderNode(
+      template,
+      depth + 1,
+      this.getChildNamespace(node.parentNode)
+    );
+
+    this.removeHandlers(node);
+    if (node.parentNode) {
+      node.parentNode.replaceChild(rendered, node);
+    }
+
+    return rendered;
+  },
+
+  /**
+   * Removes the handler bound to a property of an element.
+   * @param {Element} element - The element the handler is bound to.
+   * @param {string} property - The bound property.
+   * @returns {Object|undefined} The removed handler, if there was one.
+   */
+  takeHandler(element, property) {
+    for (let bindingId in this.handlers) {
+      const handlers = this.handlers[bindingId];
+      const index = handlers.findIndex(
+        (handler) => handler.element === element && handler.property === property
+      );
+
+      if (index !== -1) {
+        const [handler] = handlers.splice(index, 1);
+        untrack(handler);
+        return handler;
+      }
+    }
+  },
+
+  /**
+   * Applies the difference between the previous and new value of a
+   * property to an element.
+   * @param {Element} element - The element to patch.
+   * @param {string} key - The property to patch.
+   * @param {*} previous - The value the property was last rendered with.
+   * @param {*} value - The new value of the property.
+   * @param {number} depth - The depth of the rendering.
+   * @returns {void}
+   */
+  patchProperty(element, key, previous, value, depth) {
+    if (isPromise(value)) {
+      this.renderPending(element, key, value, null, depth, { previous });
+      return;
+    }
+
+    // properties are compared with the live state rather than the last
+    // render, which the user may have changed since
+    if (this.isDomProperty(element, key)) {
+      this.setProperty(element, key, value);
+      return;
+    }
+
+    if (value === null || value === undefined) {
+      if (previous === null || previous === undefined) {
+        return;
+      }
+
+      switch (key) {
+        case "children":
+        case "child":
+        case "textContent":
+        case "innerHTML":
+          this.clearChildren(element);
+          break;
+        case "on":
+          this.setEvents(element, {});
+          break;
+        case "key":
+          element.removeAttribute("data-key");
+          break;
+        case "attrs":
+          this.setAttrs(element, {}, previous);
+          break;
+        default:
+          element.removeAttribute(key);
+      }
+      return;
+    }
+
+    switch (key) {
+      case "children":
+      case "child": {
+        const toArray = (children) =>
+          children === null || children === undefined
+            ? []
+            : key === "children"
+            ? children
+            : [children];
+
+        this.patchChildren(element, toArray(previous), toArray(value), depth);
+        break;
+      }
+      case "on":
+        this.setEvents(element, value);
+        break;
+      case "attrs":
+        this.setAttrs(element, value, previous || {});
+        break;
+      case "style":
+        if (this.formatStyle(previous) !== this.formatStyle(value)) {
+          this.setStyle(element, value);
+        }
+        break;
+      default:
+        if (previous !== value) {
+          this.setElementAttribute(element, key, value, null, depth);
+        }
+    }
+  },
+
+  /**
+   * Patches the children of an element from one list of templates to
+   * another. Keyed children are matched by key, anything else by position.
+   * Children the server rendered have no templates, so they're matched by
+   * their data-key attribute and hydrated against the new templates.
+   * @param {Element} element - The element to patch the children of.
+   * @param {Array|null} previous - The templates the children were rendered from, or null if the server rendered them.
+   * @param {Array} children - The templates to patch the children to.
+   * @param {number} depth - The depth of the rendering.
+   * @returns {void}
+   */
+  patchChildren(element, previous, children, depth) {
+    const rendered = (list) =>
+      list.filter((child) => (child || child === 0) && child.if !== false);
+
+    const fromServer = previous === null,
+      oldChildren = fromServer ? [] : rendered(previous),
+      newChildren = rendered(children),
+      childNodes = Array.from(element.childNodes);
+
+    // if the DOM has drifted from what was rendered, or can't be matched
+    // up, start again
+    if (
+      fromServer
+        ? !this.isKeyed(newChildren)
+        : childNodes.length !== oldChildren.length
+    ) {
+      this.clearChildren(element);
+      this.setChildren(element, "children", newChildren, depth);
+      return;
+    }
+
+    let nodes;
+    if (
+      fromServer ||
+      (this.isKeyed(oldChildren) && this.isKeyed(newChildren))
+    ) {
+      const existing = new Map();
+      if (fromServer) {
+        childNodes.forEach((node) => {
+          const key =
+            node.nodeType === Node.ELEMENT_NODE
+              ? node.getAttribute("data-key")
+              : null;
+          if (key !== null) {
+            existing.set(key, { node });
+          }
+        });
+      } else {
+        oldChildren.forEach((child, i) => {
+          existing.set(String(child.key), {
+            node: childNodes[i],
+            template: child,
+          });
+        });
+      }
+
+      nodes = newChildren.map((child) => {
+        const match = existing.get(String(child.key));
+        if (!match) {
+          return this.render(
+            child,
+            null,
+            depth + 1,
+            this.getChildNamespace(element)
+          );
+        }
+
+        existing.delete(String(child.key));
+        if (match.template === undefined) {
+          // the data has changed since the server rendered the node, so
+          // the differences are fixed without being reported
+          const index = childNodes.indexOf(match.node);
+          this.hydrateNode(element, match.node, child, []);
+          return element.childNodes[index];
+        }
+        return this.patch(match.node, match.template, child, depth);
+      });
+    } else {
+      nodes = newChildren.map((child, i) =>
+        i < oldChildren.length
+          ? this.patch(childNodes[i], oldChildren[i], child, depth)
+          : this.render(
+              child,
+              null,
+              depth + 1,
+              this.getChildNamespace(element)
+            )
+      );
+    }
+
+    const kept = new Set(nodes);
+    Array.from(element.childNodes).forEach((child) => {
+      if (!kept.has(child)) {
+        this.removeHandlers(child);
+        element.removeChild(child);
+      }
+    });
+
+    // only move the nodes that are out of place
+    nodes.forEach((node, i) => {
+      const current = element.childNodes[i];
+      if (current !== node) {
+        element.insertBefore(node, current || null);
+      }
+    });
+  },
+
+  /**
+   * Renders the template into HTML.
+   *
+   * @param {Object} template - The JSON object representing the template.
+   * @param {function|string|Object} [callbackOrQuery] - The callback function to call after rendering or a query for an element to append the new element to. On the server, the render options (see createRenderContext).
+   * @param {number} [depth=0] - The depth of the rendering.
+   * @param {string} [namespace] - The namespace of the element being rendered into. Defaults to the namespace of the element matching callbackOrQuery, or HTML.
+   * @returns {String|Element|null} The HTML string of the element, an Element object, or null if there is a callbackOrQuery parameter
+   */
+  render(template, callbackOrQuery, depth = 0, namespace) {
+    // Handle server-side rendering
+    if (isServer) {
+      return this.handleServerSideRendering(template, callbackOrQuery);
+    }
+
+    if (!template) {
+      return null;
+    }
+
+    // Check if the template has an "if" property and if it's false, return null
+    if (template.if === false) {
+      return null;
+    }
+
+    // If the template is a string or a number, return a text node
+    if (typeof template === "string" || typeof template === "number") {
+      return document.createTextNode(template);
+    }
+
+    if (namespace === undefined) {
+      namespace = this.getChildNamespace(
+        typeof callbackOrQuery === "string"
+          ? document.querySelector(callbackOrQuery)
+          : null
+      );
+    }
+
+    // promises render as an empty placeholder until they resolve
+    if (isPromise(template)) {
+      const placeholder = document.createTextNode("");
+      template.then(
+        (value) => {
+          const node = this.render(value, null, depth, namespace);
+          if (node && placeholder.parentNode) {
+            placeholder.replaceWith(node);
+          }
+        },
+        (error) => {
+          console.error("html.js: a promise in the template rejected", error);
+          placeholder.remove();
+        }
+      );
+      return this.insertElement(placeholder, callbackOrQuery);
+    }
+
+    // components render their template, and are mounted on the result
+    if (template instanceof Component) {
+      const element = this.renderNode(
+        this.expandComponent(template),
+        depth,
+        namespace
+      );
+      this.mountComponent(template, element);
+      return this.insertElement(element, callbackOrQuery);
+    }
+
+    // Create the element
+    const tagName = template.tagName || "div";
+    const element = document.createElementNS(
+      this.getNamespace(tagName, namespace),
+      tagName
+    );
+
+    // set through the CSSOM, which a Content Security Policy allows
+    if (template instanceof e.ContentsElement) {
+      element.style.display = "contents";
+    }
+
+    // Process each key/value pair in the template - DOM properties go last,
+    // since a select's value needs its options to exist
+    const keys = Object.keys(template).sort(
+      (a, b) => domProperties.includes(a) - domProperties.includes(b)
+    );
+
+    keys.forEach((key) => {
+      let value = template[key];
+
+      // signals are bound like any other function
+      if (isSignal(value)) {
+        const signal = value;
+        value = () => signal.value;
+      }
+
+      if (typeof value === "function") {
+        value = this.applyBindProperty(template, value);
+        this.processFunctionValue(
+          element,
+          key,
+          value,
+          depth,
+          undefined,
+          template.fallback
+        );
+      } else if (isPromise(value)) {
+        this.renderPending(element, key, value, template.fallback, depth);
+      } else if (value !== null && value !== undefined) {
+        this.setElementAttribute(element, key, value, null, depth);
+      }
+    });
+
+    return this.insertElement(element, callbackOrQuery);
+  },
+
+  /**
+   * Hands a rendered element to the render callback, or appends it to the
+   * element matching the query.
+   * @param {Element|null} element - The rendered element.
+   * @param {function|string} [callbackOrQuery] - The callback function to call with the element or a query for an element to append it to.
+   * @returns {Element|null|undefined} The element, if there is no callbackOrQuery.
+   */
+  insertElement(element, callbackOrQuery) {
+    if (callbackOrQuery) {
+      if (typeof callbackOrQuery === "function") {
+        callbackOrQuery(element);
+      } else {
+        document.querySelector(callbackOrQuery).appendChild(element);
+      }
+    } else {
+      return element;
+    }
+  },
+
+  /**
+   * Renders a component to the template it stands for. The component's key
+   * is passed on to the template so keyed children can still be matched up.
+   * @param {Component} component - The component to render.
+   * @returns {Object|null} The template of the component.
+   */
+  expandComponent(component) {
+    const template = component.template();
+
+    if (
+      template &&
+      typeof template === "object" &&
+      component.key !== undefined
+    ) {
+      template.key = component.key;
+    }
+
+    component.app = this;
+    component.current = template;
+
+    return template;
+  },
+
+  /**
+   * Mounts a component on the node it rendered, calling its onMount hook
+   * once the node has had a chance to be inserted into the document.
+   * @param {Component} component - The component to mount.
+   * @param {Node} node - The node the component rendered.
+   * @returns {void}
+   */
+  mountComponent(component, node) {
+    component.node = node;
+    this.mounted.add(component);
+
+    queueMicrotask(() => {
+      // the component may have been removed again straight away
+      if (this.mounted.has(component)) {
+        component.onMount();
+      }
+    });
+  },
+
+  /**
+   * Re-renders a mounted component, patching the DOM it rendered last time.
+   * @param {Component} component - The component to update.
+   * @returns {void}
+   */
+  updateComponent(component) {
+    const previous = component.current;
+
+    // patching may replace the component's node, which shouldn't destroy
+    // the component itself
+    this.mounted.delete(component);
+    component.node = this.patch(
+      component.node,
+      previous,
+      this.expandComponent(component),
+      0
+    );
+    this.mounted.add(component);
+
+    component.onUpdate();
+  },
+
+  /**
+   * Patches a node rendered from a component. A component of the same class
+   * takes over from the mounted one, keeping its state but taking the new
+   * props and slots; anything else is re-rendered.
+   * @param {Node} node - The node rendered from the previous template.
+   * @param {Object|string} previous - The template the node was rendered from.
+   * @param {Object|string} template - The template to patch the node to.
+   * @param {number} depth - The depth of the rendering.
+   * @returns {Node} The patched node, or the node that replaced it.
+   */
+  patchComponent(node, previous, template, depth) {
+    if (
+      !(previous instanceof Component) ||
+      !(template instanceof Component) ||
+      previous.constructor !== template.constructor ||
+      previous.node !== node
+    ) {
+      return this.replaceNode(node, template, depth);
+    }
+
+    const { props, slots } = template;
+    Object.assign(template, previous, { props, slots });
+
+    this.mounted.delete(previous);
+    this.mounted.add(template);
+    this.updateComponent(template);
+
+    return template.node;
+  },
+
+  /**
+   * Gets the namespace for the specified tag name. svg and math start their
+   * own namespace, anything else inherits the namespace of its parent.
+   * @param {string} tagName - The tag name to get the namespace for.
+   * @param {string} [parentNamespace] - The namespace of the element's children.
+   * @returns {string} The namespace for the specified tag name.
+   */
+  getNamespace(tagName, parentNamespace = namespaces.default) {
+    if (tagName === "svg" || tagName === "math") {
+      return namespaces[tagName];
+    }
+
+    return parentNamespace;
+  },
+
+  /**
+   * Gets the namespace the children of an element are created in. Children
+   * of foreignObject go back to HTML.
+   * @param {Node} parent - The element the children are rendered into.
+   * @returns {string} The namespace for the children.
+   */
+  getChildNamespace(parent) {
+    if (
+      !parent ||
+      !parent.namespaceURI ||
+      (parent.namespaceURI === namespaces.svg &&
+        parent.localName === "foreignObject")
+    ) {
+      return namespaces.default;
+    }
+
+    return parent.namespaceURI;
+  },
+
+  /**
+   * Gets the name a function was registered under, or its source if it
+   * wasn't registered.
+   * @param {Function} func - The function to serialize.
+   * @param {Object} context - The render context.
+   * @returns {string} The name or source of the function.
+   */
+  serializeFunction(func, context) {
+    // functions wrapped by bind() are written as the function they wrap
+    const original = func.original || func;
+
+    if (functionNames.has(original)) {
+      return functionNames.get(original);
+    }
+
+    if (context.nonce) {
+      console.warn(
+        `html.js: "${
+          original.name || "anonymous"
+        }" isn't registered with registerFunctions(), so restoring it on the client needs eval`
+      );
+    }
+
+    return func.toString();
+  },
+
+  /**
+   * Looks up a function serialized by serializeFunction().
+   * @param {string} source - The name or source of the function.
+   * @returns {Function} The function.
+   */
+  resolveFunction(source) {
+    if (registeredFunctions.has(source)) {
+      return registeredFunctions.get(source);
+    }
+
+    return new Function(`return (${source})`)();
+  },
+
+  /**
+   * Gets the binding ID of a binding function. Functions wrapped with bind()
+   * carry their ID, anything else is bound by its first parameter name.
+   * @param {Function} func - The binding function.
+   * @returns {string} The binding ID, or an empty string if the function has no parameters.
+   */
+  getBindingId(func) {
+    if (func.bindingId !== undefined) {
+      return func.bindingId;
+    }
+
+    const functStr = func.toString().replace(/^async\b\s*/, "");
+
+    // single parameter arrow functions don't need parentheses
+    const bareParam = functStr.match(/^([\w$]+)\s*=>/);
+    if (bareParam) {
+      return bareParam[1];
+    }
+
+    // the first parameter ends at a comma, a default value or the closing parenthesis
+    const paramsStr = functStr.slice(functStr.indexOf("(") + 1);
+    const firstParam = paramsStr.match(/^\s*([^,=)]*)/)[1].trim();
+
+    if (firstParam !== "" && !/^[\w$]+$/.test(firstParam)) {
+      throw new Error(
+        `Can't infer the binding ID of ${functStr}, wrap it with bind("id", func) or set the bind property of its element`
+      );
+    }
+
+    return firstParam;
+  },
+
+  /**
+   * Binds a template's function values to the template's bind property, if
+   * it has one.
+   * @param {Object} template - The template the function belongs to.
+   * @param {Function} func - The function value.
+   * @returns {Function} The function, bound if necessary.
+   */
+  applyBindProperty(template, func) {
+    if (template.bind === undefined || func.bindingId !== undefined) {
+      return func;
+    }
+
+    return bind(template.bind, func);
+  },
+
+  /**
+   * Converts a bound property name into the suffix of its data-bind-to attribute.
+   * @param {string} key - The bound property.
+   * @returns {string} The attribute suffix.
+   */
+  formatBindingProperty(key) {
+    const isCamelCase = (str) => /[a-z][A-Z]/.test(str);
+    return isCamelCase(key) ? this.camelToHyphen(key) : key;
+  },
+
+  /**
+   * Registers a binding handler, replacing any existing handler for the
+   * same element and property.
+   * @param {string} bindingId - The ID of the binding.
+   * @param {Object} handler - The handler, with its element, func and property.
+   * @returns {void}
+   */
+  addHandler(bindingId, handler) {
+    const handlers = this.handlers[bindingId] || [];
+
+    handler.bindingId = bindingId;
+
+    this.handlers[bindingId] = handlers.filter((existing) => {
+      const replaced =
+        existing.element === handler.element &&
+        existing.property === handler.property;
+
+      if (replaced) {
+        untrack(existing);
+      }
+      return !replaced;
+    });
+    this.handlers[bindingId].push(handler);
+  },
+
+  /**
+   * Processes a function value in the template.
+   * @param {Element} element - The element to process the function value for.
+   * @param {string} key - The key of the function value.
+   * @param {Function} value - The function value to process.
+   * @param {number} depth - The depth of the rendering.
+   * @param {*} [previous] - The value the property was last rendered with, when patching.
+   * @param {Object} [fallback] - The template to show while the binding's first promise is pending.
+   * @returns {void}
+   */
+  processFunctionValue(element, key, value, depth, previous, fallback) {
+    const bindingId = this.getBindingId(value);
+    const handler = { element, func: value, property: key, previous };
+
+    this.addHandler(bindingId, handler);
+
+    const result = this.runBinding(handler);
+    if (isPromise(result)) {
+      this.renderPending(element, key, result, fallback, depth, handler);
+      return;
+    }
+
+    if (previous !== undefined) {
+      this.patchProperty(element, key, previous, result, depth);
+    } else if (result !== null) {
+      this.setElementAttribute(element, key, result, bindingId, depth);
+    }
+
+    handler.previous = result;
+  },
+
+  /**
+   * Applies a property once its promise resolves. Content shows the
+   * fallback in the meantime, and only the latest promise for a property is
+   * applied, so a slow response can't overwrite a newer one.
+   * @param {Element} element - The element to apply the property to.
+   * @param {string} key - The property.
+   * @param {Promise} promise - The promise of the value.
+   * @param {Object} [fallback] - The template to show while the promise is pending.
+   * @param {number} depth - The depth of the rendering.
+   * @param {Object} [handler] - The binding handler, which remembers what was last applied.
+   * @returns {void}
+   */
+  renderPending(element, key, promise, fallback, depth, handler = {}) {
+    const isContent = contentProperties.includes(key);
+    const showsFallback =
+      isContent &&
+      fallback !== null &&
+      fallback !== undefined &&
+      handler.previous === undefined;
+
+    if (showsFallback) {
+      this.clearChildren(element);
+      this.setElementAttribute(element, "child", fallback, null, depth);
+    }
+
+    handler.pending = promise;
+    promise.then(
+      (value) => {
+        if (handler.pending !== promise) {
+          return;
+        }
+        handler.pending = undefined;
+
+        if (handler.previous !== undefined) {
+          this.patchProperty(element, key, handler.previous, value, depth);
+        } else {
+          // replace the fallback, or whatever the server rendered
+          if (isContent) {
+            this.clearChildren(element);
+          }
+          if (value !== null && value !== undefined) {
+            this.setElementAttribute(element, key, value, null, depth);
+          }
+        }
+
+        handler.previous = value;
+      },
+      (error) => {
+        if (handler.pending !== promise) {
+          return;
+        }
+        handler.pending = undefined;
+
+        // the element keeps its previous value, but not a fallback for
+        // content that will never arrive
+        console.error(`html.js: the promise for "${key}" rejected`, error);
+        if (showsFallback) {
+          this.clearChildren(element);
+        }
+      }
+    );
+  },
+
+  /**
+   * Escapes a string for use as HTML text.
+   * @param {string} value - The text to escape.
+   * @returns {string} The escaped text.
+   */
+  escapeHTML(value) {
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;");
+  },
+
+  /**
+   * Escapes a string for use inside a double-quoted attribute value.
+   * @param {string} value - The value to escape.
+   * @returns {string} The escaped value.
+   */
+  escapeAttribute(value) {
+    return this.escapeHTML(value).replace(/"/g, "&quot;");
+  },
+
+  /**
+   * Creates the state shared by every element serialized in a single render.
+   * @param {Object} [options] - The render options.
+   * @param {string} [options.nonce] - The Content Security Policy nonce to add to every script and style.
+   * @param {string} [options.functions] - The URL of a module that registers functions on the client.
+   * @param {boolean} [options.islands] - Whether the page only hydrates its islands, instead of booting html.js for the whole page.
+   * @param {Map} [options.resolved] - The values of the template's promises and components, from resolveTemplate().
+   * @param {Map} [options.results] - The results of the template's bindings, from resolveTemplate().
+   * @param {boolean} [options.stream] - Whether the render is streamed, so suspense boundaries can be sent later.
+   * @param {Map} [options.boundaries] - The suspense boundaries still resolving, from resolveTemplate().
+   * @param {Array} [options.pending] - The suspense boundaries whose fallbacks have been sent.
+   * @param {Object|null} [options.events] - The event listeners collected so far, or null to leave listeners out.
+   * @param {boolean} [options.hasContentsElements] - Whether a Suspense or Island wrapper has been serialized.
+   * @returns {Object} The render context.
+   */
+  createRenderContext(options = {}) {
+    return {
+      // whether suspense boundaries send their fallback first and their
+      // content later in the same response
+      stream: options.stream || false,
+
+      // the suspense boundaries still resolving, keyed by their template
+      boundaries: options.boundaries || new Map(),
+
+      // the suspense boundaries that sent their fallback, and are waiting
+      // to send their content
+      pending: options.pending || [],
+
+      // what the template's promises resolved to and its components
+      // rendered, filled in by resolveTemplate() ahead of serializing
+      resolved: options.resolved || new Map(),
+
+      // the awaited results of the template's bindings, keyed by template
+      // and then by property
+      results: options.results || new Map(),
+
+      // the event listeners to re-attach on the client, keyed by event ID -
+      // in islands mode, the islands attach their own
+      events:
+        options.events !== undefined
+          ? options.events
+          : options.islands
+          ? null
+          : {},
+
+      // the Content Security Policy nonce for scripts and styles
+      nonce: options.nonce,
+
+      // the module that registers functions on the client, imported
+      // before anything is restored
+      functions: options.functions,
+
+      // whether only the islands of the page are hydrated, so the rest of
+      // the page is sent as static HTML
+      islands: options.islands || false,
+
+      // whether a Suspense or Island wrapper has been serialized, which
+      // needs the stylesheet that lays the wrappers out
+      hasContentsElements: options.hasContentsElements || false,
+    };
+  },
+
+  /**
+   * Collects the attributes and content of a template for serialization,
+   * following the same rules render() applies to the DOM.
+   * @param {Object} template - The template to collect.
+   * @param {Object} context - The render context, or {hydrating: true} when hydrating, to run the bindings as tracked handlers.
+   * @returns {{tagName: string, attributes: Map, content: Array, bindings: Array, events: Object|null}} The tag name, attributes, content, bindings and event listeners of the template.
+   */
+  collectTemplate(template, context) {
+    const tagName = template.tagName || "div";
+    const attributes = new Map();
+    const bindings = [];
+    let content = [],
+      events = null,
+      selectedValue;
+
+    Object.keys(template).forEach((key) => {
+      let value = template[key];
+
+      // signals are rendered with their current value, and only need
+      // binding again when hydrating
+      if (isSignal(value)) {
+        const signal = value;
+        bindings.push({ bindingId: "", property: key, func: () => signal.value });
+        value = signal.peek();
+      }
+
+      // bindings are rendered with their current data, and the binding
+      // itself is written to the element so the client can pick it back up
+      if (typeof value === "function") {
+        value = this.applyBindProperty(template, value);
+        const bindingId = this.getBindingId(value);
+        const func = value;
+        attributes.set("data-binding-id", bindingId);
+        attributes.set(
+          `data-bind-to-${this.formatBindingProperty(key)}`,
+          this.serializeFunction(value, context)
+        );
+        const results = context.results?.get(template);
+        let handler;
+
+        if (results && key in results) {
+          value = results[key];
+        } else if (context.hydrating) {
+          // hydration keeps the binding, so it runs once, as a tracked
+          // handler, rather than again once it's registered
+          handler = { bindingId, func, property: key };
+          value = this.runBinding(handler);
+        } else {
+          value = value(this.data[bindingId], e, components);
+        }
+        bindings.push({ bindingId, property: key, func, value, handler });
+      }
+
+      value = this.awaitedValue(value, context);
+
+      if (value === null || value === undefined) {
+        return;
+      }
+
+      switch (key) {
+        case "tagName":
+        case "if":
+        case "bind":
+        case "fallback":
+          break;
+        case "key":
+          attributes.set("data-key", String(value));
+          break;
+        case "on": {
+          events = value;
+
+          if (!context.events) {
+            if (context.events === null && !context.islands) {
+              console.warn(
+                `html.js: the listeners of <${tagName}> are left out, since a fragment rendered with renderToString() has no manifest to send them in - use render() or renderAsync() instead`
+              );
+            }
+            break;
+          }
+
+          // listeners can't be serialized onto the element, so they go into
+          // the manifest and are re-attached once the page loads
+          const eventId = this.generateUniqueId();
+          attributes.set("data-event-id", eventId);
+          context.events[eventId] = {};
+          for (let event in value) {
+            context.events[eventId][event] = this.serializeFunction(
+              value[event],
+              context
+            );
+          }
+          break;
+        }
+        case "style":
+          attributes.set(key, this.formatStyle(value));
+          break;
+        case "attrs":
+          for (let name in value) {
+            const formatted = this.formatAttribute(name, value[name]);
+            if (formatted !== null) {
+              attributes.set(name, formatted);
+            }
+          }
+          break;
+        case "textContent":
+          content = [String(value)];
+          break;
+        case "innerHTML":
+          content = [this.getInnerHTML(value)];
+          break;
+        case "children":
+        case "child":
+          // like the DOM, new children replace existing elements but not text
+          if (content.some((item) => typeof item === "object")) {
+            content = [];
+          }
+          content.push(...(key === "children" ? value : [value]));
+          break;
+        case "prepend":
+          content.unshift(value);
+          break;
+        case "append":
+          content.push(value);
+          break;
+        case "value":
+          // a textarea's value is its content, and a select's value is
+          // which of its options is selected
+          if (tagName === "textarea") {
+            content = [String(value)];
+            break;
+          } else if (tagName === "select") {
+            selectedValue = String(value);
+            break;
+          }
+        // falls through
+        default: {
+          if (propertyOnly.includes(key)) {
+            break;
+          }
+
+          // a Content Security Policy blocks inline handlers, so preloaded
+          // stylesheets are applied by the bootstrap script instead
+          if (
+            key === "onload" &&
+            context.nonce &&
+            template instanceof e.PreLoadStyle
+          ) {
+            break;
+          }
+
+          const formatted = this.formatAttribute(key, value);
+          if (formatted !== null) {
+            attributes.set(key, formatted);
+          }
+        }
+      }
+    });
+
+    // under a Content Security Policy, only scripts and styles carrying
+    // the page's nonce are allowed to run
+    if (context.nonce && rawTextElements.includes(tagName)) {
+      attributes.set("nonce", context.nonce);
+    }
+
+    if (selectedValue !== undefined) {
+      content = content.map((item) => this.selectOption(item, selectedValue));
+    }
+
+    return { tagName, attributes, content, bindings, events };
+  },
+
+  /**
+   * Marks the option with a value as selected, and any other options as not,
+   * looking inside optgroups. The templates are copied rather than changed.
+   * @param {*} item - The content item of the select.
+   * @param {string} value - The value of the select.
+   * @returns {*} The content item with its options selected.
+   */
+  selectOption(item, value) {
+    if (!item || typeof item !== "object") {
+      return item;
+    }
+
+    const copy = (changes) =>
+      Object.assign(Object.create(Object.getPrototypeOf(item)), item, changes);
+
+    if (item.tagName === "optgroup") {
+      const toArray = (children) =>
+        Array.isArray(children) ? children : [children];
+
+      return item.children
+        ? copy({
+            children: toArray(item.children).map((child) =>
+              this.selectOption(child, value)
+            ),
+          })
+        : item;
+    }
+
+    if (item.tagName === "option") {
+      const optionValue = item.value ?? item.textContent;
+      return copy({ selected: String(optionValue) === value });
+    }
+
+    return item;
+  },
+
+  /**
+   * Serializes the opening tag of an element.
+   * @param {string} tagName - The tag name of the element.
+   * @param {Map} attributes - The attributes of the element.
+   * @returns {string} The opening tag.
+   */
+  serializeOpeningTag(tagName, attributes) {
+    let html = `<${tagName}`;
+    attributes.forEach((value, key) => {
+      // boolean attributes only need to be present
+      html +=
+        value === "" && booleanAttributes.includes(key)
+          ? ` ${key}`
+          : ` ${key}="${this.escapeAttribute(value)}"`;
+    });
+    return `${html}>`;
+  },
+
+  /**
+   * Serializes a single content item of an element.
+   * @param {string|RawHTML|Object} item - The content item to serialize.
+   * @param {string} tagName - The tag name of the parent element.
+   * @param {Object} context - The render context.
+   * @returns {string} The serialized content.
+   */
+  serializeContentItem(item, tagName, context) {
+    if (item instanceof RawHTML) {
+      return item.html;
+    }
+
+    // script and style content can't be escaped, but it mustn't be able to
+    // close its element early
+    if (typeof item === "string" && rawTextElements.includes(tagName)) {
+      return item.replace(new RegExp(`</(${tagName})`, "gi"), "<\\/$1");
+    }
+
+    return this.renderToString(item, context);
+  },
+
+  /**
+   * Waits for every promise in a template, including the promises its
+   * bindings return, and records what they resolved to in the render
+   * context so the template can then be serialized synchronously.
+   * Components are rendered along the way, since their templates can hold
+   * promises too.
+   * @param {*} template - The template to resolve.
+   * @param {Object} context - The render context to record the values in.
+   * @returns {Promise<void>} Resolves once everything in the template has.
+   */
+  async resolveTemplate(template, context) {
+    if (isPromise(template)) {
+      const value = await template;
+      context.resolved.set(template, value);
+      return this.resolveTemplate(value, context);
+    }
+
+    if (Array.isArray(template)) {
+      await Promise.all(
+        template.map((item) => this.resolveTemplate(item, context))
+      );
+      return;
+    }
+
+    if (
+      !template ||
+      typeof template !== "object" ||
+      template instanceof RawHTML ||
+      template.if === false
+    ) {
+      return;
+    }
+
+    if (template instanceof Component) {
+      const expanded = this.expandComponent(template);
+      context.resolved.set(template, expanded);
+      return this.resolveTemplate(expanded, context);
+    }
+
+    // when streaming, a suspense boundary's content resolves in the
+    // background and is sent once it's ready, instead of holding up the page
+    if (context.stream && template instanceof e.Suspense) {
+      // a failed boundary settles with its error instead of rejecting, so
+      // it can keep its fallback without stopping the rest of the page
+      const ready = this.resolveProperties(template, context).then(
+        () => null,
+        (error) => error
+      );
+      context.boundaries.set(template, ready);
+      return;
+    }
+
+    await this.resolveProperties(template, context);
+  },
+
+  /**
+   * Resolves the properties of an element template for resolveTemplate().
+   * @param {Object} template - The element template.
+   * @param {Object} context - The render context to record the values in.
+   * @returns {Promise<void>} Resolves once every property has.
+   */
+  async resolveProperties(template, context) {
+    const skipped = ["on", "attrs", "style", "fallback"];
+
+    await Promise.all(
+      Object.keys(template)
+        .filter((key) => !skipped.includes(key))
+        .map(async (key) => {
+          let value = template[key];
+
+          // bindings run once here, and their results are reused when
+          // the template is serialized
+          if (typeof value === "function") {
+            const func = this.applyBindProperty(template, value);
+            const result = await func(
+              this.data[this.getBindingId(func)],
+              e,
+              components
+            );
+
+            const results = context.results.get(template) || {};
+            results[key] = result;
+            context.results.set(template, results);
+            value = result;
+          }
+
+          await this.resolveTemplate(value, context);
+        })
+    );
+  },
+
+  /**
+   * Gets what a promise in a template resolved to. On the server, promises
+   * have to be resolved with resolveTemplate() before serializing.
+   * @param {*} value - The value, which may be a promise.
+   * @param {Object} context - The render context.
+   * @returns {*} The resolved value, the value itself if it isn't a promise, or null if it hasn't resolved.
+   */
+  awaitedValue(value, context) {
+    if (!isPromise(value)) {
+      return value;
+    }
+
+    if (context.resolved?.has(value)) {
+      return context.resolved.get(value);
+    }
+
+    if (isServer) {
+      console.warn(
+        "html.js: a promise in the template hasn't resolved, render it with renderAsync() to wait for it"
+      );
+    }
+    return null;
+  },
+
+  /**
+   * Renders a template on the server once every promise in it has
+   * resolved, including the promises its bindings return. Bind the data
+   * first, since bindings are run while resolving.
+   * @param {Object} template - The template to render.
+   * @param {Object} [options] - The render options (see createRenderContext).
+   * @returns {Promise<string>} The rendered HTML.
+   */
+  async renderAsync(template, options) {
+    const context = this.createRenderContext({
+      ...template?.renderOptions,
+      ...options,
+    });
+
+    await this.resolveTemplate(template, context);
+
+    return this.handleServerSideRendering(template, context);
+  },
+
+  /**
+   * Renders a template into an HTML string without using a DOM. Without a
+   * render context, the markup is a plain fragment, so event listeners are
+   * left out rather than referring to a manifest that isn't sent.
+   * @param {Object|string} template - The template to render.
+   * @param {Object} [context] - The render context.
+   * @returns {string} The rendered HTML.
+   */
+  renderToString(template, context = this.createRenderContext({ events: null })) {
+    if (isPromise(template)) {
+      template = this.awaitedValue(template, context);
+    }
+
+    if (!template) {
+      return "";
+    }
+
+    if (typeof template === "string" || typeof template === "number") {
+      return this.escapeHTML(template);
+    }
+
+    if (template.if === false) {
+      return "";
+    }
+
+    // fragments bring the stylesheet for Suspense and Island wrappers if
+    // they have one
+    if (template instanceof e.ContentsElement) {
+      context.hasContentsElements = true;
+    }
+
+    if (template instanceof e.Suspense && this.isSuspended(template, context)) {
+      return this.serializeSuspense(template, context);
+    }
+
+    if (template instanceof Component) {
+      const expanded = context.resolved?.has(template)
+        ? context.resolved.get(template)
+        : this.expandComponent(template);
+
+      // the client mounts a component that renders nothing on an empty
+      // comment, so it's written for hydration to find
+      return rendersNothing(expanded)
+        ? "<!---->"
+        : this.renderToString(expanded, context);
+    }
+
+    const { tagName, attributes, content } = this.collectTemplate(
+      template,
+      context
+    );
+    const openingTag = this.serializeOpeningTag(tagName, attributes);
+
+    if (voidElements.includes(tagName)) {
+      return openingTag;
+    }
+
+    if (definedElements.has(tagName)) {
+      return `${openingTag}${this.serializeDefinedElement(
+        tagName,
+        attributes,
+        content,
+        context
+      )}</${tagName}>`;
+    }
+
+    return `${openingTag}${content
+      .map((item) => this.serializeContentItem(item, tagName, context))
+      .join("")}</${tagName}>`;
+  },
+
+  /**
+   * Checks if a suspense boundary shows its fallback, because it's still
+   * resolving while streaming or its content is a promise that hasn't
+   * resolved.
+   * @param {Suspense} template - The suspense boundary.
+   * @param {Object} context - The render context.
+   * @returns {boolean} True if the boundary shows its fallback, false if it shows its content.
    */
-  setStyle(element, value) {
-    let style = "";
-    if (typeof value === "string") {
-      style = value;
-    } else if (typeof value === "object") {
-      for (let key in value) {
-        const property = key.includes("-") ? key : this.camelToHyphen(key);
-        style += `${property}:${value[key]};`;
-      }
-    }
-    element.setAttribute("style", style);
+  isSuspended(template, context) {
+    return (
+      context.boundaries?.has(template) ||
+      contentProperties.some(
+        (key) =>
+          isPromise(template[key]) && !context.resolved?.has(template[key])
+      )
+    );
   },
 
   /**
-   * Sets the innerHTML of an element.
-   * @param {Element} element - The element to set the inner HTML on.
-   * @param {string} value - The inner HTML to set.
-   * @returns {void}
+   * Serializes a suspended boundary with its fallback. Boundaries that are
+   * still resolving while streaming have their content sent later by
+   * serializeBoundaries().
+   * @param {Suspense} template - The suspense boundary.
+   * @param {Object} context - The render context.
+   * @returns {string} The serialized boundary.
    */
-  setInnerHTML(element, value) {
-    element.innerHTML = "";
-    element.innerHTML = value;
+  serializeSuspense(template, context) {
+    // the boundary's element is sent without its content, which may not
+    // have resolved yet
+    const shell = {};
+    Object.keys(template)
+      .filter((key) => !contentProperties.includes(key))
+      .forEach((key) => {
+        shell[key] = template[key];
+      });
+
+    const { tagName, attributes } = this.collectTemplate(shell, context);
+
+    // bound content is written to the element like any other binding, so
+    // the client can pick it back up
+    contentProperties
+      .filter((key) => typeof template[key] === "function")
+      .forEach((key) => {
+        const func = this.applyBindProperty(template, template[key]);
+        attributes.set("data-binding-id", this.getBindingId(func));
+        attributes.set(
+          `data-bind-to-${this.formatBindingProperty(key)}`,
+          this.serializeFunction(func, context)
+        );
+      });
+
+    if (context.boundaries?.has(template)) {
+      const id = this.generateUniqueId();
+      attributes.set("data-suspense-id", id);
+      context.pending.push({
+        id,
+        template,
+        ready: context.boundaries.get(template),
+      });
+    }
+
+    return `${this.serializeOpeningTag(
+      tagName,
+      attributes
+    )}${this.renderToString(template.fallback, context)}</${tagName}>`;
   },
 
   /**
-   * Prepends a child to an element.
-   * @param {Element} element - The element to prepend the child to.
-   * @param {string|Object} value - The value to prepend.
-   * @param {number} depth - The depth of the rendering.
-   * @returns {void}
+   * Serializes the content of the suspense boundaries that sent their
+   * fallback, in whichever order they resolve. Each chunk is a promise of
+   * the boundary's content and the script that swaps it in.
+   * @param {Object} context - The render context.
+   * @yields {Promise<string>} The next boundary to resolve.
    */
-  prependChild(element, value, depth) {
-    if (typeof value !== "object") {
-      element.prepend(document.createTextNode(value));
-    } else {
-      const childElement = this.render(value, null, depth + 1);
-      if (childElement !== null) {
-        element.prepend(childElement);
-      }
+  *serializeBoundaries(context) {
+    while (context.pending.length > 0) {
+      yield this.nextBoundary(context);
     }
   },
 
   /**
-   * Sets the children of an element.
-   * @param {Element} element - The element to set the children on.
-   * @param {string} key - The key of the children.
-   * @param {Array} value - The value of the children.
-   * @param {number} depth - The depth of the rendering.
+   * Waits for the next suspense boundary to settle and serializes it. A
+   * boundary that fails keeps its fallback, and the error is logged.
+   * @param {Object} context - The render context.
+   * @returns {Promise<string>} The content of the boundary and its swap script, or an empty string if it failed.
    */
-  setChildren(element, key, value, depth) {
-    const children = key === "children" ? value : [value];
-    if (element.children.length > 0 || value === null) {
-      this.clearChildren(element);
-      if (value === null) return;
-    }
-    children.forEach((child) => {
-      const childElement = this.render(child, null, depth + 1);
-      if (childElement !== null) {
-        element.appendChild(childElement);
+  async nextBoundary(context) {
+    const index = await Promise.race(
+      context.pending.map(({ ready }, index) => ready.then(() => index))
+    );
+    const { id, template, ready } = context.pending.splice(index, 1)[0];
+    let html;
+
+    try {
+      const error = await ready;
+      if (error) {
+        throw error;
       }
-    });
+
+      const { tagName, content } = this.collectTemplate(template, context);
+      html = content
+        .map((item) => this.serializeContentItem(item, tagName, context))
+        .join("");
+    } catch (error) {
+      console.error(
+        `html.js: suspense boundary "${id}" failed and kept its fallback`,
+        error
+      );
+      return "";
+    }
+
+    return `<template data-suspense-for="${id}">${html}</template>${this.renderToString(
+      this.createSwapScript(id),
+      context
+    )}`;
   },
 
   /**
-   * Sets the text content of an element.
-   * @param {Element} element - The element to set the text content on.
-   * @param {string} value - The value of the text content.
-   * @returns {void}
+   * Creates the inline script that moves a suspense boundary's streamed
+   * content into the boundary, replacing its fallback.
+   * @param {string} id - The ID of the boundary.
+   * @returns {Object} The script template.
    */
-  setTextContent(element, value) {
-    element.textContent = "";
-    element.appendChild(document.createTextNode(value));
+  createSwapScript(id) {
+    return {
+      tagName: "script",
+      textContent: `{
+        const boundary = document.querySelector('[data-suspense-id="${id}"]');
+        const content = document.querySelector('template[data-suspense-for="${id}"]');
+        boundary.replaceChildren(content.content);
+        boundary.removeAttribute("data-suspense-id");
+        content.remove();
+        document.currentScript.remove();
+      }`,
+    };
   },
 
   /**
-   * Appends a child
-   * @param {Element} element - The element to append the child to.
-   * @param {string|Object} value - The value to append.
-   * @param {number} depth - The depth of the rendering.
-   * @returns {void}
+   * Serializes the content of a custom element defined with defineElement().
+   * Its template is rendered into a declarative shadow root ahead of the
+   * element's own children, or in place of them if it has no shadow root.
+   * @param {string} tagName - The tag name of the custom element.
+   * @param {Map} attributes - The attributes of the element.
+   * @param {Array} content - The content of the element.
+   * @param {Object} context - The render context.
+   * @returns {string} The serialized content.
    */
-  appendChild(element, value, depth) {
-    if (typeof value !== "object") {
-      element.appendChild(document.createTextNode(value));
-    } else {
-      const childElement = this.render(value, null, depth + 1);
-      if (childElement !== null) {
-        element.appendChild(childElement);
-      }
+  serializeDefinedElement(tagName, attributes, content, context) {
+    const definition = definedElements.get(tagName);
+    const { props } = createProps(definition, (attribute) =>
+      attributes.has(attribute) ? attributes.get(attribute) : null
+    );
+    const rendered = this.renderToString(
+      renderDefinition(definition, props),
+      context
+    );
+
+    if (!definition.shadow) {
+      return rendered;
     }
+
+    return `<template shadowrootmode="open">${rendered}</template>${content
+      .map((item) => this.serializeContentItem(item, tagName, context))
+      .join("")}`;
   },
 
   /**
-   * Reviews the binding and emits the value.
-   * @param {string} binding the binding to review
-   * @param {Object} data the data object the value is coming from
+   * Creates the script that boots html.js in the browser, restores the
+   * bound data, bindings and event listeners, and hydrates any islands.
+   * @param {Object} context - The render context.
+   * @returns {Object} The script template.
    */
-  emitBinding(bindingId, binding) {
-    const { element, func, property } = binding;
+  createBootstrapScript(context) {
+    const textContent = `
+        const App = (await import("${getModuleURL("html.js")}")).default;
+        App.init();
+        window.App = App;
+        App.applyPreloadedStyles();
+${
+  context.functions
+    ? `
+        await import(${serializeState(context.functions)});
+`
+    : ""
+}
+        const state = document.getElementById("htmljs-state");
+        if (state) {
+          App.restoreState(state.textContent);
+        }
 
-    let value;
+        const events = document.getElementById("htmljs-events");
+        if (events) {
+          App.restoreEvents(JSON.parse(events.textContent));
+        }
 
-    // for server-side binding, the func will be a string so we
-    // will need to parse it
-    if (typeof func === "string") {
-      const newFunc = new Function("data", `return ${func}`)(this.data);
-      value = newFunc(this.data[bindingId], e, c);
-    } else {
-      value = func(this.data[bindingId], e, c);
-    }
+        if (document.querySelector("[data-island]")) {
+          (await import("${getModuleURL("islands.js")}")).hydrateIslands();
+        }
+      `;
 
-    this.setElementAttribute(element, property, value, bindingId, 0);
+    return new e.Module({ textContent });
   },
 
   /**
-   * Renders the template into HTML.
-   *
-   * @param {Object} template - The JSON object representing the template.
-   * @param {function|string} [callbackOrQuery] - The callback function to call after rendering or a query for an element to append the new element to.
-   * @param {number} [depth=0] - The depth of the rendering.
-   * @returns {String|Element|null} The HTML string of the element, an Element object, or null if there is a callbackOrQuery parameter
+   * Creates the script that boots the islands of a page rendered in islands
+   * mode. Only islands.js loads up front - html.js and each island's
+   * component load once the island's trigger fires. The preloaded
+   * stylesheets are applied by islands.js, since html.js loads too late.
+   * @returns {Object} The script template.
    */
-  render(template, callbackOrQuery, depth = 0) {
-    if (!template) {
-      return null;
-    }
+  createIslandsScript() {
+    return new e.Module({
+      textContent: `
+        import { applyPreloadedStyles, hydrateIslands } from "${getModuleURL("islands.js")}";
+        applyPreloadedStyles();
+        hydrateIslands();
+      `,
+    });
+  },
 
-    // Check if the template has an "if" property and if it's false, return null
-    if (template.if === false) {
-      return null;
-    }
+  /**
+   * Creates the stylesheet that lays out the Suspense and Island wrappers
+   * with display: contents. It's sent in the head of every document, since
+   * a Content Security Policy can block style attributes but allows a
+   * stylesheet with the page's nonce.
+   * @returns {Object} The style template.
+   */
+  createContentsStyle() {
+    return {
+      tagName: "style",
+      textContent: `${e.ContentsElement.tagNames.join(
+        ", "
+      )} { display: contents; }`,
+    };
+  },
 
-    // If the template is a string, return a text node
-    if (typeof template === "string") {
-      return document.createTextNode(template);
-    }
+  /**
+   * Creates a script that transfers data from the server to the client.
+   * @param {string} id - The ID of the script.
+   * @param {*} value - The data to transfer.
+   * @returns {Object} The script template.
+   */
+  createStateScript(id, value) {
+    return {
+      tagName: "script",
+      id,
+      type: "application/json",
+      textContent: serializeState(value),
+    };
+  },
 
-    // Create the element
-    const tagName = template.tagName || "div";
-    const element = document.createElementNS(
-      this.getNamespace(tagName),
-      tagName
-    );
+  /**
+   * Restores the data serialized by the server and registers its bindings.
+   * @param {string} json - The serialized data.
+   * @returns {void}
+   */
+  restoreState(json) {
+    const data = deserializeState(json);
 
-    // Process each key/value pair in the template
-    Object.keys(template).forEach((key) => {
-      let value = template[key];
+    Object.keys(data).forEach((key) => {
+      this.data[key] = data[key];
+    });
+
+    this.restoreBindings();
+  },
 
-      if (this.isStringifiedFunction(value)) {
-        value = this.parseStringifiedFunction(value);
+  /**
+   * Serializes a full document chunk by chunk, injecting the bootstrap
+   * script into the body ahead of any other scripts and the bound data and
+   * event listener manifest at the end of it.
+   * @param {Object} template - The html template to serialize.
+   * @param {Object} [context] - The render context.
+   * @yields {string} The next chunk of the document.
+   */
+  *serializeDocument(
+    template,
+    context = this.createRenderContext(template.renderOptions)
+  ) {
+    const html = this.collectTemplate(template, context);
+    yield `<!DOCTYPE html>${this.serializeOpeningTag(
+      html.tagName,
+      html.attributes
+    )}`;
+
+    for (const item of html.content) {
+      if (item?.tagName === "head") {
+        yield this.serializeContentItem(item, html.tagName, context).replace(
+          /<\/head>$/,
+          `${this.renderToString(this.createContentsStyle(), context)}</head>`
+        );
+        continue;
       }
 
-      if (typeof value === "function") {
-        this.processFunctionValue(element, key, value, depth);
-      } else if (value !== null) {
-        this.setElementAttribute(element, key, value, null, depth);
+      if (item?.tagName !== "body") {
+        yield this.serializeContentItem(item, html.tagName, context);
+        continue;
       }
-    });
 
-    // Handle server-side rendering
-    if (isServer && depth === 0) {
-      return this.handleServerSideRendering(element);
-    } else {
-      if (callbackOrQuery) {
-        if (typeof callbackOrQuery === "function") {
-          callbackOrQuery(element);
-        } else {
-          document.querySelector(callbackOrQuery).appendChild(element);
+      const body = this.collectTemplate(item, context);
+      yield this.serializeOpeningTag(body.tagName, body.attributes);
+
+      const bootstrap = this.renderToString(
+        context.islands
+          ? this.createIslandsScript()
+          : this.createBootstrapScript(context),
+        context
+      );
+      let scriptIndex = body.content.findIndex(
+        (child) => child?.tagName === "script"
+      );
+      if (scriptIndex === -1) {
+        scriptIndex = body.content.length;
+      }
+
+      for (let i = 0; i < body.content.length; i++) {
+        if (i === scriptIndex) {
+          yield bootstrap;
         }
-      } else {
-        return element;
+        yield this.serializeContentItem(
+          body.content[i],
+          body.tagName,
+          context
+        );
+      }
+
+      if (scriptIndex === body.content.length) {
+        yield bootstrap;
+      }
+
+      // suspended content goes ahead of the state, since its bindings and
+      // listeners are part of it
+      yield* this.serializeBoundaries(context);
+
+      // in islands mode, nothing outside the islands is restored
+      if (context.islands) {
+        yield `</${body.tagName}>`;
+        continue;
       }
+
+      if (Object.keys(this.data).length > 0) {
+        yield this.renderToString(
+          this.createStateScript("htmljs-state", this.data),
+          context
+        );
+      }
+
+      yield this.serializeEvents(context);
+      yield `</${body.tagName}>`;
     }
+
+    yield `</${html.tagName}>`;
   },
 
   /**
-   * Gets the namespace for the specified tag name.
-   * @param {string} tagName - The tag name to get the namespace for.
-   * @returns {string} The namespace for the specified tag name.
+   * Serializes a template that isn't a full document, followed by its
+   * suspense boundaries and the manifest of its event listeners.
+   * @param {Object} template - The template to serialize.
+   * @param {Object} context - The render context.
+   * @yields {string|Promise<string>} The next chunk of HTML.
    */
-  getNamespace(tagName) {
-    const namespaces = {
-      svg: "http://www.w3.org/2000/svg",
-      math: "http://www.w3.org/1998/Math/MathML",
-      xlink: "http://www.w3.org/1999/xlink",
-      xml: "http://www.w3.org/XML/1998/namespace",
-      xmlns: "http://www.w3.org/2000/xmlns/",
-      default: "http://www.w3.org/1999/xhtml",
-    };
-    return namespaces[tagName] || namespaces.default;
+  *serializeFragment(template, context) {
+    const html = this.renderToString(template, context);
+    const style = context.hasContentsElements
+      ? this.renderToString(this.createContentsStyle(), context)
+      : "";
+
+    yield `<!DOCTYPE html>${style}${html}`;
+    yield* this.serializeBoundaries(context);
+    yield this.serializeEvents(context);
   },
 
   /**
-   * Checks if the specified string is a stringified function.
-   * @param {string} str - The string to check.
-   * @returns {boolean} True if the string is a stringified function, false otherwise.
+   * Serializes the manifest of the event listeners collected while
+   * rendering, which restoreEvents() re-attaches in the browser.
+   * @param {Object} context - The render context.
+   * @returns {string} The manifest script, or an empty string if there are no listeners.
    */
-  isStringifiedFunction(str) {
-    if (typeof str !== "string") {
-      return false;
+  serializeEvents(context) {
+    if (!context.events || Object.keys(context.events).length === 0) {
+      return "";
     }
-    const functionPattern = /^\s*(function\s*\(|\(\s*[^\)]*\)\s*=>)/;
-    return functionPattern.test(str);
+
+    return this.renderToString(
+      this.createStateScript("htmljs-events", context.events),
+      context
+    );
   },
 
   /**
-   * Parses a stringified function into a function.
-   * @param {string} str - The stringified function to parse.
-   * @returns {Function} The parsed function.
+   * Serializes a template chunk by chunk. Full documents are split into the
+   * head and each subtree of the body, anything else is a single chunk.
+   * @param {Object} template - The template to serialize.
+   * @param {Object} [options] - The render options (see createRenderContext).
+   * @yields {string} The next chunk of HTML.
    */
-  parseStringifiedFunction(str) {
-    if (this.isStringifiedFunction(str)) {
-      return new Function(`return (${str})`)();
+  *serializeChunks(template, options) {
+    if (template?.tagName === "html") {
+      yield* this.serializeDocument(
+        template,
+        this.createRenderContext({ ...template.renderOptions, ...options })
+      );
+    } else {
+      yield* this.serializeFragment(
+        template,
+        this.createRenderContext({ ...template?.renderOptions, ...options })
+      );
     }
-    throw new Error("Invalid stringified function");
   },
 
   /**
-   * Processes a function value in the template.
-   * @param {Element} element - The element to process the function value for.
-   * @param {string} key - The key of the function value.
-   * @param {Function} value - The function value to process.
-   * @param {number} depth - The depth of the rendering.
+   * Adds data to the data store so it can be bound, keyed by its _id.
+   * @param {Object|Object[]} data - The data, or an array of data, to bind.
    * @returns {void}
    */
-  processFunctionValue(element, key, value, depth) {
-    const functStr = value.toString();
-    const paramsStr = functStr.slice(
-      functStr.indexOf("(") + 1,
-      functStr.indexOf(")")
-    );
-    const paramsArray = paramsStr.split(",").map((param) => param.trim());
-    const bindingId = paramsArray.length > 0 ? paramsArray[0] : null;
-
-    if (!isServer) {
-      if (!this.handlers[bindingId]) {
-        this.handlers[bindingId] = [];
-      }
-      this.handlers[bindingId].push({ element, func: value, property: key });
-    } else {
-      element.dataset.bindingId = bindingId;
-      const isCamelCase = (str) => /[a-z][A-Z]/.test(str);
-      element.setAttribute(
-        `data-bind-to-${isCamelCase(key) ? this.camelToHyphen(key) : key}`,
-        value
-      );
+  bindData(data) {
+    if (!this.data) {
+      this.init();
     }
 
-    const result = value(this.data[bindingId], e, c);
-    if (result !== null) {
-      this.setElementAttribute(element, key, result, bindingId, depth);
+    if (!data) {
+      return;
     }
+
+    (Array.isArray(data) ? data : [data]).forEach((item) => {
+      this.data[item._id] = item;
+    });
   },
 
   /**
-   * Handles server-side rendering of the template.
-   * @param {Element} element - The element to render.
-   * @returns {string} The rendered HTML
+   * Renders a template as a stream of HTML chunks. The head of a document is
+   * flushed straight away and the body follows subtree by subtree, so large
+   * pages don't have to be built in memory before the first byte is sent.
+   * Suspense boundaries send their fallback with the page and their content
+   * once it resolves.
+   * @param {Object} template - The template to render.
+   * @param {Object|Object[]} [data] - The data to bind before rendering.
+   * @param {Object} [options] - The render options (see createRenderContext).
+   * @returns {{pipe: function(Writable): Writable}} An async iterable of chunks that can be piped into a Node writable stream.
    */
-  handleServerSideRendering(element) {
-    if (element.tagName === "HTML") {
-      const script = document.createElement("script");
-      script.textContent = `
-        const App = (await import("${
-          process.env.NODE_ENV === "production" ? process.env.CDN_BASE_URL : ""
-        }/dist/premmio/htmljs/html.js")).default;
-        App.init();
-        window.App = App;
-      `;
+  renderToStream(template, data, options) {
+    this.bindData(data);
 
-      if (Object.keys(this.data).length > 0) {
-        script.textContent += `
-          const parsedData = JSON.parse('${JSON.stringify(this.data)}');
-          Object.keys(parsedData).forEach(key => {
-            App.data[key] = parsedData[key];
+    const chunks = async function* () {
+      const context = this.createRenderContext({
+        ...template?.renderOptions,
+        ...options,
+        stream: true,
+      });
+      await this.resolveTemplate(template, context);
+
+      // suspense boundaries are sent as promises of their content
+      for (const chunk of this.serializeChunks(template, context)) {
+        yield await chunk;
+
+        // let the stream flush before serializing the next subtree
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+    }.bind(this);
+
+    return {
+      [Symbol.asyncIterator]: chunks,
+
+      /**
+       * Writes every chunk to the destination, respecting backpressure,
+       * and ends it once the template has been rendered. The render stops
+       * if the destination closes first, like when a client disconnects.
+       * @param {Writable} destination - The stream to write to.
+       * @returns {Writable} The destination stream.
+       */
+      pipe(destination) {
+        const iterator = chunks();
+
+        // resolves once the destination can take more, or won't take any
+        const writable = () =>
+          new Promise((resolve) => {
+            const done = () => {
+              destination.off("drain", done);
+              destination.off("close", done);
+              destination.off("error", done);
+              resolve();
+            };
+            destination.on("drain", done);
+            destination.on("close", done);
+            destination.on("error", done);
           });
-  
-          const elements = document.querySelectorAll("[data-binding-id]");
-          elements.forEach((element) => {
-            const bindingId = element.getAttribute("data-binding-id");
-            if (!App.handlers[bindingId]) {
-              App.handlers[bindingId] = [];
+
+        destination.once("close", () => iterator.return());
+
+        (async () => {
+          for await (const chunk of iterator) {
+            if (destination.destroyed) {
+              break;
             }
-            const hyphenToCamelCase = (str) => str.replace(/-([a-z])/g, (g) => g[1].toUpperCase());
-            Array.from(element.attributes).forEach((attr) => {
-              if (attr.name.startsWith("data-bind-to-")) {
-                let property = attr.name.slice("data-bind-to-".length);
-                if (!property.startsWith("data-")) {
-                  property = hyphenToCamelCase(property);
-                }
-                try {
-                  const func = new Function("return " + attr.value)();
-                  if (typeof func === "function") {
-                    App.handlers[bindingId].push({ element, property, func });
-                  }
-                } catch (e) {
-                  // Ignore attributes that are not functions
-                }
-              }
-            });
-          });
-        `;
-      }
+            if (!destination.write(chunk)) {
+              await writable();
+            }
+          }
 
-      script.setAttribute("type", "module");
-      script.setAttribute("defer", true);
+          if (!destination.destroyed) {
+            destination.end();
+          }
+        })().catch((err) => destination.destroy(err));
 
-      const body = element.querySelector("body");
-      const scripts = body.querySelectorAll("script");
-      if (scripts.length > 0) {
-        body.insertBefore(script, scripts[0]);
-      } else {
-        body.appendChild(script);
-      }
+        return destination;
+      },
+    };
+  },
+
+  /**
+   * Handles server-side rendering of the template.
+   * @param {Object} template - The template to render.
+   * @param {Object} [options] - The render options (see createRenderContext).
+   * @returns {string} The rendered HTML
+   */
+  handleServerSideRendering(template, options) {
+    const context = this.createRenderContext({
+      ...template?.renderOptions,
+      ...options,
+    });
+
+    if (template?.tagName === "html") {
+      return Array.from(this.serializeDocument(template, context)).join("");
+    }
+
+    return Array.from(this.serializeFragment(template, context)).join("");
+  },
+
+  /**
+   * Removes the handlers bound to a node or any of its descendants.
+   * @param {Node} node - The node being removed.
+   * @returns {void}
+   */
+  removeHandlers(node) {
+    const handlers = this.handlers;
+
+    // the handlers contain a reference to the element in their element property,
+    // so we just need to match that element to the node that is being removed
+    for (let key in handlers) {
+      handlers[key] = handlers[key].filter((bind) => {
+        const removed = bind.element === node || node.contains(bind.element);
+
+        // stop the removed bindings from listening for changes
+        if (removed) {
+          untrack(bind);
+        }
+        return !removed;
+      });
     }
 
-    return `<!DOCTYPE html>${element.outerHTML}`;
+    this.mounted.forEach((component) => {
+      if (component.node === node || node.contains(component.node)) {
+        this.mounted.delete(component);
+        component.onDestroy();
+      }
+    });
   },
 
   /**
@@ -549,19 +3566,56 @@ export default {
   clearChildren(element) {
     // we need to check this.handlers for any reference to any of the children that are being removed
     // and remove their handlers
-    // get all the children
-    const children = element.childNodes,
-      handlers = this.handlers;
-
-    // the handlers contain a reference to the element in their element property,
-    // so we just need to match that element to the element that is being removed
-    Array.from(children).forEach((child) => {
-      for (let key in handlers) {
-        handlers[key] = handlers[key].filter((bind) => bind.element !== child);
-      }
+    Array.from(element.childNodes).forEach((child) => {
+      this.removeHandlers(child);
 
       // then delete the child
       element.removeChild(child);
     });
   },
 };
+
+/**
+ * Creates an html.js app with its own data store, handler registry and ID
+ * generator. On the server, create one per request so concurrent renders
+ * can't see each other's data.
+ * @param {Object} [options] - The options for the app.
+ * @param {string} [options.idPrefix] - The prefix for the IDs the app generates. Random by default.
+ * @returns {Object} The app.
+ */
+export function createApp(options = {}) {
+  const app = Object.create(App);
+
+  // the handlers for each binding, keyed by binding ID
+  app.handlers = {};
+
+  // the event listeners attached to each element, so they can be replaced
+  // without being attached twice
+  app.listeners = new WeakMap();
+
+  // the properties of the data that bindings have read, keyed by their path
+  app.sources = new Map();
+
+  // the components mounted in the DOM
+  app.mounted = new Set();
+
+  // the handlers waiting to be emitted with the next render, and the
+  // callbacks waiting for it to finish
+  app.queue = new Set();
+  app.scheduled = false;
+  app.renderCallbacks = [];
+
+  app.idPrefix = options.idPrefix ?? Math.random().toString(36).slice(2, 7);
+  app.nextId = 0;
+
+  app.init();
+
+  return app;
+}
+
+/**
+ * The main html.js object.
+ */
+const defaultApp = createApp();
+
+export default defaultApp;
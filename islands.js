@@ -0,0 +1,90 @@
+import { deserializeState } from "./state.js";
+
+/**
+ * The islands that have been scheduled to hydrate, so they are only
+ * hydrated once.
+ */
+const scheduled = new WeakSet();
+
+/**
+ * Schedules hydration for each trigger an island can use, keyed by the
+ * value of its data-island attribute.
+ */
+const triggers = {
+  load(element, hydrate) {
+    hydrate();
+  },
+
+  idle(element, hydrate) {
+    if (typeof requestIdleCallback === "function") {
+      requestIdleCallback(hydrate);
+    } else {
+      setTimeout(hydrate, 200);
+    }
+  },
+
+  visible(element, hydrate) {
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        observer.disconnect();
+        hydrate();
+      }
+    });
+
+    // the island's own element has display: contents and no box to
+    // intersect, so its children are observed instead
+    Array.from(element.children).forEach((child) => observer.observe(child));
+  },
+};
+
+/**
+ * Applies the stylesheets preloaded by PreLoadStyle. Pages with a nonce
+ * leave out their inline onload handler, which the Content Security Policy
+ * would block, and this lives in islands.js so pages in islands mode can
+ * apply them without loading html.js.
+ * @returns {void}
+ */
+export function applyPreloadedStyles() {
+  document
+    .querySelectorAll('link[rel="preload"][as="style"]')
+    .forEach((link) => {
+      link.rel = "stylesheet";
+    });
+}
+
+/**
+ * Loads an island's component and html.js, then hydrates the markup the
+ * server rendered for it.
+ * @param {Element} element - The element of the island.
+ * @returns {Promise<Array<{node: Node, message: string}>>} The mismatches found between the server and client output.
+ */
+export async function hydrateIsland(element) {
+  const [{ default: App }, { Island }, module] = await Promise.all([
+    import("./html.js"),
+    import("./elements.html.js"),
+    import(element.dataset.islandSrc),
+  ]);
+
+  const props = deserializeState(element.dataset.islandProps || "{}");
+  const template = Island.renderComponent(module.default, props);
+
+  return App.hydrate(element.firstElementChild, template);
+}
+
+/**
+ * Schedules every island in a document, or part of one, to hydrate when its
+ * trigger fires. Islands that are already scheduled are skipped.
+ * @param {ParentNode} [root=document] - The element or document to find islands in.
+ * @returns {void}
+ */
+export function hydrateIslands(root = document) {
+  root.querySelectorAll("[data-island]").forEach((element) => {
+    if (scheduled.has(element)) {
+      return;
+    }
+    scheduled.add(element);
+
+    const trigger = triggers[element.dataset.island] || triggers.load;
+    trigger(element, () => hydrateIsland(element));
+  });
+}
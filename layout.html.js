@@ -110,15 +110,6 @@ class ServerHead extends Head {
           // if we're in development, we can just link the stylesheets
           criticalStyle = new Stylesheet({
             href,
-            onload: `setTimeout(() => {
-            const nonCriticalStylesheets = document.querySelectorAll(
-              ".non-critical-style"
-            );
-
-            nonCriticalStylesheets.forEach((stylesheet) => {
-              stylesheet.rel = "stylesheet";
-            });
-          }, 2000);`,
           });
         } else {
           criticalStyle = new Style({
@@ -363,10 +354,15 @@ export class Layout {
 
     const body = params.body;
 
+    // in islands mode, the islands load their own components
     const pageScripts = [
-      new Module({
-        src: "/premmio/public/components/component-loader.js",
-      }),
+      ...(params.islands
+        ? []
+        : [
+            new Module({
+              src: "/premmio/public/components/component-loader.js",
+            }),
+          ]),
       ...scripts,
       ...(typeof params.scripts === "string"
         ? Array.of(params.scripts)
@@ -393,6 +389,16 @@ export class Layout {
       this.style = params.style;
     }
 
+    // the render options aren't attributes, so they are kept out of the
+    // serialized properties
+    Object.defineProperty(this, "renderOptions", {
+      value: {
+        nonce: params.nonce,
+        functions: params.functions,
+        islands: params.islands,
+      },
+    });
+
     if (params["data-theme"] !== undefined) {
       this["data-theme"] = params["data-theme"];
     }
@@ -0,0 +1,322 @@
+/**
+ * The elements the default sanitizer keeps, with the attributes each one
+ * keeps on top of the global ones.
+ */
+const defaultElements = {
+  a: ["href", "rel", "target"],
+  abbr: [],
+  b: [],
+  blockquote: ["cite"],
+  br: [],
+  caption: [],
+  code: [],
+  dd: [],
+  del: [],
+  div: [],
+  dl: [],
+  dt: [],
+  em: [],
+  figcaption: [],
+  figure: [],
+  h1: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  h5: [],
+  h6: [],
+  hr: [],
+  i: [],
+  img: ["src", "alt", "width", "height"],
+  ins: [],
+  kbd: [],
+  li: [],
+  mark: [],
+  ol: ["start", "reversed"],
+  p: [],
+  pre: [],
+  q: ["cite"],
+  s: [],
+  small: [],
+  span: [],
+  strong: [],
+  sub: [],
+  sup: [],
+  table: [],
+  tbody: [],
+  td: ["colspan", "rowspan"],
+  tfoot: [],
+  th: ["colspan", "rowspan", "scope"],
+  thead: [],
+  tr: [],
+  u: [],
+  ul: [],
+};
+
+/**
+ * The attributes the default sanitizer keeps on every element.
+ */
+const defaultAttributes = ["title", "lang", "dir"];
+
+/**
+ * Attributes that hold a URL, which only keep URLs with a safe protocol.
+ */
+const urlAttributes = ["href", "src", "cite", "action", "formaction", "poster"];
+
+/**
+ * Elements without a closing tag.
+ */
+const voidElements = ["br", "hr", "img", "wbr", "col", "source", "track"];
+
+/**
+ * Elements whose content is dropped along with them, rather than kept as
+ * text, when they aren't allowed.
+ */
+const droppedElements = [
+  "script",
+  "style",
+  "template",
+  "textarea",
+  "title",
+  "iframe",
+  "object",
+  "embed",
+  "noscript",
+  "noembed",
+  "noframes",
+  "xmp",
+  "svg",
+  "math",
+];
+
+/**
+ * The named character references the sanitizer decodes in attribute values,
+ * which cover the characters a URL's protocol can be disguised with.
+ */
+const namedReferences = new Map([
+  ["amp", "&"],
+  ["AMP", "&"],
+  ["lt", "<"],
+  ["LT", "<"],
+  ["gt", ">"],
+  ["GT", ">"],
+  ["quot", '"'],
+  ["QUOT", '"'],
+  ["apos", "'"],
+  ["nbsp", "\u00a0"],
+  ["Tab", "\t"],
+  ["NewLine", "\n"],
+  ["colon", ":"],
+  ["semi", ";"],
+  ["sol", "/"],
+  ["bsol", "\\"],
+  ["quest", "?"],
+  ["num", "#"],
+  ["percnt", "%"],
+  ["equals", "="],
+  ["plus", "+"],
+  ["period", "."],
+  ["comma", ","],
+  ["excl", "!"],
+  ["commat", "@"],
+  ["lpar", "("],
+  ["rpar", ")"],
+  ["lowbar", "_"],
+]);
+
+/**
+ * Matches a character reference in an attribute value. Numeric references
+ * don't need their semicolon, named ones do.
+ */
+const referencePattern = /(&(?:#(?:x[0-9a-f]+|\d+);?|[a-z][a-z0-9]*;))/i;
+
+/**
+ * Escapes text, leaving character references that are already there alone.
+ * @param {string} value - The text to escape.
+ * @returns {string} The escaped text.
+ */
+const escape = (value) =>
+  value
+    .replace(/&(?!(#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);)/gi, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+/**
+ * Encodes an attribute value, including every ampersand, so the browser
+ * reads exactly the characters that were checked.
+ * @param {string} value - The value to encode.
+ * @returns {string} The encoded value.
+ */
+const encode = (value) =>
+  value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Decodes a character reference.
+ * @param {string} reference - The character reference, like &#58; or &colon;.
+ * @returns {string|undefined} The character, or undefined for a named reference the sanitizer doesn't know.
+ */
+const decodeReference = (reference) => {
+  if (reference[1] !== "#") {
+    return namedReferences.get(reference.slice(1, -1));
+  }
+
+  const code = reference.slice(2).replace(";", "");
+  const point =
+    code[0].toLowerCase() === "x"
+      ? parseInt(code.slice(1), 16)
+      : parseInt(code, 10);
+
+  return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : "\ufffd";
+};
+
+/**
+ * Checks if a URL is safe to keep: relative, a fragment, or using http,
+ * https, mailto or tel.
+ * @param {string} url - The decoded URL to check.
+ * @returns {boolean} True if the URL is safe, false otherwise.
+ */
+const isSafeURL = (url) => {
+  // browsers ignore whitespace and control characters in the protocol
+  const normalized = url.replace(/[\u0000- ]/g, "").toLowerCase();
+
+  const protocol = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+  return !protocol || ["http", "https", "mailto", "tel"].includes(protocol[1]);
+};
+
+/**
+ * Decodes an attribute value to check it, and encodes it again to write it.
+ * Named references the sanitizer doesn't know are written as they are, but
+ * make a URL unsafe, since the browser may decode them to anything.
+ * @param {string} name - The name of the attribute.
+ * @param {string} value - The value of the attribute, as written in the markup.
+ * @returns {string|null} The encoded value, or null if the attribute should be dropped.
+ */
+const sanitizeAttribute = (name, value) => {
+  let decoded = "";
+  let encoded = "";
+  let unknown = false;
+
+  value.split(referencePattern).forEach((part, index) => {
+    // the pattern's group puts the references at the odd indexes
+    const character = index % 2 ? decodeReference(part) : part;
+
+    if (character === undefined) {
+      unknown = true;
+      decoded += part;
+      encoded += part;
+    } else {
+      decoded += character;
+      encoded += encode(character);
+    }
+  });
+
+  if (urlAttributes.includes(name) && (unknown || !isSafeURL(decoded))) {
+    return null;
+  }
+
+  return encoded;
+};
+
+/**
+ * Creates a sanitizer that keeps only the elements and attributes on its
+ * allow-list. Markup is rebuilt from what's allowed, so anything else - tags,
+ * attributes, comments and unsafe URLs - never reaches the output. The
+ * content of elements that aren't allowed is kept as text, except for
+ * elements like script and style, which are dropped along with it.
+ * @param {Object} [options] - The allow-list.
+ * @param {Object<string, string[]>} [options.elements] - The elements to keep, with the attributes each one keeps.
+ * @param {string[]} [options.attributes] - The attributes to keep on every allowed element.
+ * @returns {function(string): string} The sanitizer, which takes markup and returns the sanitized markup.
+ */
+export function createSanitizer(options = {}) {
+  const elements = options.elements || defaultElements;
+  const attributes = options.attributes || defaultAttributes;
+
+  const sanitizeAttributes = (tagName, source) => {
+    const allowed = [...attributes, ...(elements[tagName] || [])];
+    const pattern =
+      /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+    let result = "";
+    let match;
+
+    while ((match = pattern.exec(source))) {
+      const name = match[1].toLowerCase();
+      const value = allowed.includes(name)
+        ? sanitizeAttribute(name, match[2] ?? match[3] ?? match[4] ?? "")
+        : null;
+
+      if (value !== null) {
+        result += ` ${name}="${value}"`;
+      }
+    }
+
+    return result;
+  };
+
+  return (html) => {
+    const source = String(html);
+    const token =
+      /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>|<[!?][^>]*>?|[^<]+|</g;
+    let output = "";
+    let match;
+
+    // the elements that are open, so the markup can't close elements
+    // outside it or leave its own open
+    const open = [];
+
+    while ((match = token.exec(source))) {
+      const [text, closing, name, attributeSource] = match;
+
+      // comments, doctypes and processing instructions are dropped
+      if (/^<[!?]/.test(text)) {
+        continue;
+      }
+
+      if (!name) {
+        output += escape(text);
+        continue;
+      }
+
+      const tagName = name.toLowerCase();
+
+      if (!elements[tagName]) {
+        // skip past the dropped element's content and closing tag
+        if (!closing && droppedElements.includes(tagName)) {
+          const end = new RegExp(`</${tagName}\\s*>`, "gi");
+          end.lastIndex = token.lastIndex;
+          token.lastIndex = end.exec(source) ? end.lastIndex : source.length;
+        }
+        continue;
+      }
+
+      if (closing) {
+        // closing tags without a matching open element are dropped, and
+        // the elements opened inside it are closed with it
+        const index = open.lastIndexOf(tagName);
+        if (index !== -1) {
+          output += open
+            .splice(index)
+            .reverse()
+            .map((name) => `</${name}>`)
+            .join("");
+        }
+      } else {
+        output += `<${tagName}${sanitizeAttributes(tagName, attributeSource)}>`;
+        if (!voidElements.includes(tagName)) {
+          open.push(tagName);
+        }
+      }
+    }
+
+    return (
+      output +
+      open
+        .reverse()
+        .map((name) => `</${name}>`)
+        .join("")
+    );
+  };
+}
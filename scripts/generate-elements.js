@@ -0,0 +1,73 @@
+// Generates the simple element classes in elements.html.js from the table in
+// element-spec.js. Run with `node scripts/generate-elements.js`.
+
+// Standard Library Imports
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+import { elements } from "../element-spec.js";
+
+const file = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "elements.html.js"
+);
+
+const startMarker = "// BEGIN GENERATED ELEMENTS";
+const endMarker = "// END GENERATED ELEMENTS";
+
+const sections = [
+  ["HTML", elements.html],
+  ["SVG", elements.svg],
+  ["MathML", elements.mathml],
+];
+
+// elements that exist in more than one namespace share a class
+const seen = new Set();
+let count = 0;
+
+const code = sections
+  .map(([label, list]) => {
+    const classes = list
+      .filter((element) => {
+        const isNew = !seen.has(element.name);
+        seen.add(element.name);
+        return isNew && !element.custom;
+      })
+      .map((element) => {
+        count++;
+
+        return `export class ${element.name} extends Element {
+  constructor(params) {
+    super(params);
+    this.tagName = "${element.tagName}";
+    this.initialize(params);
+  }
+}`;
+      });
+
+    return `// ${label} elements\n\n${classes.join("\n\n")}`;
+  })
+  .join("\n\n");
+
+const source = fs.readFileSync(file, "utf8");
+const start = source.indexOf(startMarker);
+const end = source.indexOf(endMarker);
+
+if (start === -1 || end === -1) {
+  throw new Error(`Could not find the generated section in ${file}`);
+}
+
+fs.writeFileSync(
+  file,
+  `${source.slice(0, start)}${startMarker}
+// Do not edit this section by hand - change element-spec.js and run
+// \`node scripts/generate-elements.js\` instead.
+
+${code}
+
+${source.slice(end)}`
+);
+
+console.log(`Generated ${count} element classes`);
@@ -0,0 +1,241 @@
+/**
+ * The observer (an effect, computed value or binding) whose dependencies are
+ * currently being tracked.
+ */
+let currentObserver = null;
+
+/**
+ * Records a source as a dependency of the current observer.
+ * @param {Object} source - The source being read, with a set of subscribers.
+ * @returns {void}
+ */
+export function track(source) {
+  if (currentObserver) {
+    source.subscribers.add(currentObserver);
+    currentObserver.dependencies.add(source);
+  }
+}
+
+/**
+ * Notifies every subscriber of a source that it has changed.
+ * @param {Object} source - The source that changed.
+ * @returns {void}
+ */
+export function trigger(source) {
+  Array.from(source.subscribers).forEach((observer) => observer.notify());
+}
+
+/**
+ * Unsubscribes an observer from every source it depends on.
+ * @param {Object} observer - The observer to unsubscribe.
+ * @returns {void}
+ */
+export function untrack(observer) {
+  if (observer.dependencies) {
+    observer.dependencies.forEach((source) =>
+      source.subscribers.delete(observer)
+    );
+  }
+  observer.dependencies = new Set();
+}
+
+/**
+ * Runs a function on behalf of an observer, replacing the observer's
+ * dependencies with the sources the function reads.
+ * @param {Object} observer - The observer, with a notify method.
+ * @param {Function} fn - The function to run.
+ * @returns {*} The result of the function.
+ */
+export function observe(observer, fn) {
+  untrack(observer);
+
+  const previousObserver = currentObserver;
+  currentObserver = observer;
+
+  try {
+    return fn();
+  } finally {
+    currentObserver = previousObserver;
+  }
+}
+
+/**
+ * A value that notifies whatever reads it when it changes.
+ */
+export class Signal {
+  /**
+   * Creates an instance of Signal.
+   * @param {*} value - The initial value.
+   */
+  constructor(value) {
+    this.current = value;
+    this.subscribers = new Set();
+  }
+
+  get value() {
+    track(this);
+    return this.current;
+  }
+
+  set value(value) {
+    if (Object.is(value, this.current)) {
+      return;
+    }
+
+    this.current = value;
+    trigger(this);
+  }
+
+  /**
+   * Reads the value without tracking it.
+   * @returns {*} The current value.
+   */
+  peek() {
+    return this.current;
+  }
+}
+
+/**
+ * A value derived from other signals, recomputed lazily when they change.
+ */
+export class Computed {
+  /**
+   * Creates an instance of Computed.
+   * @param {Function} compute - Computes the value from other signals.
+   */
+  constructor(compute) {
+    this.compute = compute;
+    this.current = undefined;
+    this.dirty = true;
+    this.subscribers = new Set();
+    this.dependencies = new Set();
+  }
+
+  get value() {
+    track(this);
+    return this.peek();
+  }
+
+  /**
+   * Reads the value without tracking it.
+   * @returns {*} The current value.
+   */
+  peek() {
+    if (this.dirty) {
+      this.current = observe(this, this.compute);
+      this.dirty = false;
+    }
+    return this.current;
+  }
+
+  /**
+   * Marks the value as stale when one of its dependencies changes.
+   * @returns {void}
+   */
+  notify() {
+    if (!this.dirty) {
+      this.dirty = true;
+      trigger(this);
+    }
+  }
+}
+
+/**
+ * A side effect that re-runs whenever the signals it reads change.
+ */
+export class Effect {
+  /**
+   * Creates an instance of Effect and runs it.
+   * @param {Function} fn - The effect, which may return a cleanup function.
+   */
+  constructor(fn) {
+    this.fn = fn;
+    this.cleanup = null;
+    this.scheduled = false;
+    this.disposed = false;
+    this.dependencies = new Set();
+    this.run();
+  }
+
+  /**
+   * Runs the effect, cleaning up after the previous run first.
+   * @returns {void}
+   */
+  run() {
+    if (this.cleanup) {
+      this.cleanup();
+    }
+
+    const result = observe(this, this.fn);
+    this.cleanup = typeof result === "function" ? result : null;
+  }
+
+  /**
+   * Schedules the effect to re-run once the current changes are done.
+   * @returns {void}
+   */
+  notify() {
+    if (this.scheduled || this.disposed) {
+      return;
+    }
+
+    this.scheduled = true;
+    queueMicrotask(() => {
+      this.scheduled = false;
+      if (!this.disposed) {
+        this.run();
+      }
+    });
+  }
+
+  /**
+   * Stops the effect from running again.
+   * @returns {void}
+   */
+  dispose() {
+    this.disposed = true;
+    untrack(this);
+
+    if (this.cleanup) {
+      this.cleanup();
+    }
+  }
+}
+
+/**
+ * Creates a signal.
+ * @param {*} value - The initial value.
+ * @returns {Signal} The signal.
+ */
+export function signal(value) {
+  return new Signal(value);
+}
+
+/**
+ * Creates a computed value.
+ * @param {Function} compute - Computes the value from other signals.
+ * @returns {Computed} The computed value.
+ */
+export function computed(compute) {
+  return new Computed(compute);
+}
+
+/**
+ * Creates an effect that runs straight away and again whenever the signals
+ * it reads change.
+ * @param {Function} fn - The effect, which may return a cleanup function.
+ * @returns {Function} Disposes of the effect.
+ */
+export function effect(fn) {
+  const instance = new Effect(fn);
+  return () => instance.dispose();
+}
+
+/**
+ * Checks if a value is a signal or computed value.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is a signal, false otherwise.
+ */
+export function isSignal(value) {
+  return value instanceof Signal || value instanceof Computed;
+}
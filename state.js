@@ -0,0 +1,131 @@
+/**
+ * The key that marks an encoded value that JSON can't represent directly.
+ */
+const TYPE_KEY = "$type";
+
+/**
+ * Characters that are escaped so serialized state can't break out of the
+ * script tag it is embedded in, or be misread as JavaScript.
+ */
+const unsafeCharacters = {
+  "<": "\\u003c",
+  ">": "\\u003e",
+  "&": "\\u0026",
+  "\u2028": "\\u2028",
+  "\u2029": "\\u2029",
+};
+
+/**
+ * Encodes a value into something JSON can represent, tagging Dates, Maps,
+ * Sets and BigInts so they can be restored.
+ * @param {*} value - The value to encode.
+ * @returns {*} The encoded value.
+ */
+function encode(value) {
+  if (typeof value === "bigint") {
+    return { [TYPE_KEY]: "BigInt", value: value.toString() };
+  }
+
+  if (value instanceof Date) {
+    return {
+      [TYPE_KEY]: "Date",
+      value: isNaN(value.getTime()) ? null : value.toISOString(),
+    };
+  }
+
+  if (value instanceof Map) {
+    return {
+      [TYPE_KEY]: "Map",
+      value: Array.from(value, ([key, item]) => [encode(key), encode(item)]),
+    };
+  }
+
+  if (value instanceof Set) {
+    return { [TYPE_KEY]: "Set", value: Array.from(value, encode) };
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(encode);
+  }
+
+  if (value !== null && typeof value === "object") {
+    if (typeof value.toJSON === "function") {
+      return encode(value.toJSON());
+    }
+
+    const encoded = {};
+    Object.keys(value).forEach((key) => {
+      if (value[key] !== undefined && typeof value[key] !== "function") {
+        encoded[key] = encode(value[key]);
+      }
+    });
+
+    // objects that happen to use the type key are wrapped so they aren't
+    // mistaken for an encoded value
+    return Object.prototype.hasOwnProperty.call(encoded, TYPE_KEY)
+      ? { [TYPE_KEY]: "Object", value: encoded }
+      : encoded;
+  }
+
+  return value;
+}
+
+/**
+ * Restores a value encoded by encode().
+ * @param {*} value - The encoded value.
+ * @returns {*} The decoded value.
+ */
+function decode(value) {
+  if (Array.isArray(value)) {
+    return value.map(decode);
+  }
+
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+
+  const decodeProperties = (object) => {
+    const decoded = {};
+    Object.keys(object).forEach((key) => {
+      decoded[key] = decode(object[key]);
+    });
+    return decoded;
+  };
+
+  switch (value[TYPE_KEY]) {
+    case "BigInt":
+      return BigInt(value.value);
+    case "Date":
+      return new Date(value.value === null ? NaN : value.value);
+    case "Map":
+      return new Map(value.value.map(([key, item]) => [decode(key), decode(item)]));
+    case "Set":
+      return new Set(value.value.map(decode));
+    case "Object":
+      return decodeProperties(value.value);
+    default:
+      return decodeProperties(value);
+  }
+}
+
+/**
+ * Serializes state into JSON that is safe to embed in a
+ * <script type="application/json"> tag.
+ * @param {*} value - The state to serialize.
+ * @returns {string} The serialized state.
+ */
+export function serializeState(value) {
+  return JSON.stringify(encode(value)).replace(
+    /[<>&\u2028\u2029]/g,
+    (character) => unsafeCharacters[character]
+  );
+}
+
+/**
+ * Restores state serialized by serializeState().
+ * @param {string} json - The serialized state.
+ * @returns {*} The state.
+ */
+export function deserializeState(json) {
+  return decode(JSON.parse(json));
+}
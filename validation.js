@@ -0,0 +1,164 @@
+import { elements, globalAttributes } from "./element-spec.js";
+import { isSignal } from "./signals.js";
+
+/**
+ * The properties html.js handles itself rather than setting as attributes,
+ * which every element accepts.
+ */
+const templateProperties = [
+  "if",
+  "child",
+  "children",
+  "textContent",
+  "innerHTML",
+  "prepend",
+  "append",
+  "style",
+  "bind",
+  "on",
+  "key",
+  "attrs",
+  "fallback",
+];
+
+/**
+ * The DOM properties html.js sets on elements without a matching attribute.
+ */
+const domProperties = {
+  audio: ["currentTime", "volume", "playbackRate"],
+  input: ["indeterminate"],
+  select: ["value"],
+  textarea: ["value"],
+  video: ["currentTime", "volume", "playbackRate"],
+};
+
+/**
+ * The attributes each element accepts, keyed by tag name. Elements that
+ * exist in more than one namespace accept the attributes of each.
+ */
+const schemas = new Map();
+
+for (const namespace in elements) {
+  const shared = globalAttributes[namespace].split(" ");
+
+  elements[namespace].forEach((element) => {
+    const schema = schemas.get(element.tagName) || new Set(shared);
+
+    shared.forEach((attribute) => schema.add(attribute));
+    if (element.attributes) {
+      element.attributes.split(" ").forEach((attribute) => schema.add(attribute));
+    }
+
+    schemas.set(element.tagName, schema);
+  });
+}
+
+for (const tagName in domProperties) {
+  domProperties[tagName].forEach((property) =>
+    schemas.get(tagName).add(property)
+  );
+}
+
+/**
+ * What to do about invalid properties: "warn", "throw" or "off". Validation
+ * is off in production.
+ */
+let mode = "warn";
+
+// written out in full so bundlers can replace it in browser builds, and
+// caught where there's no process at all
+try {
+  if (process.env.NODE_ENV === "production") {
+    mode = "off";
+  }
+} catch {
+  // not built for production
+}
+
+/**
+ * Sets what to do about invalid properties.
+ * @param {"warn"|"throw"|"off"} value - Log a warning, throw an error, or skip validation.
+ * @returns {void}
+ */
+export function setValidationMode(value) {
+  if (!["warn", "throw", "off"].includes(value)) {
+    throw new Error(`Unknown validation mode "${value}"`);
+  }
+
+  mode = value;
+}
+
+/**
+ * Gets the attributes an element accepts.
+ * @param {string} tagName - The tag name of the element.
+ * @returns {Set<string>|undefined} The attributes, or undefined if the element isn't known, like a custom element.
+ */
+export function getSchema(tagName) {
+  return schemas.get(tagName);
+}
+
+/**
+ * Checks if an element accepts an attribute. Unknown elements accept any
+ * attribute, and every element accepts data-*, aria-* and inline event
+ * handler attributes.
+ * @param {string} tagName - The tag name of the element.
+ * @param {string} key - The name of the attribute.
+ * @returns {boolean} True if the element accepts the attribute, false otherwise.
+ */
+export function isKnownAttribute(tagName, key) {
+  const schema = schemas.get(tagName);
+
+  return (
+    !schema ||
+    schema.has(key) ||
+    key.startsWith("data-") ||
+    key.startsWith("aria-") ||
+    /^on[a-z]+$/.test(key)
+  );
+}
+
+/**
+ * Reports an invalid property according to the validation mode.
+ * @param {string} message - The problem with the property.
+ * @returns {void}
+ */
+function report(message) {
+  if (mode === "throw") {
+    throw new Error(`html.js: ${message}`);
+  }
+
+  if (mode === "warn") {
+    console.warn(`html.js: ${message}`);
+  }
+}
+
+/**
+ * Validates a property of an element template, reporting attributes the
+ * element doesn't accept and values that can't be written as an attribute.
+ * @param {string} tagName - The tag name of the element.
+ * @param {string} key - The name of the property.
+ * @param {*} value - The value of the property.
+ * @returns {void}
+ */
+export function validateProperty(tagName, key, value) {
+  if (mode === "off" || templateProperties.includes(key)) {
+    return;
+  }
+
+  if (!isKnownAttribute(tagName, key)) {
+    report(
+      `<${tagName}> doesn't accept the "${key}" attribute - use attrs: { "${key}": value } to set it anyway`
+    );
+  } else if (
+    value !== null &&
+    typeof value === "object" &&
+    !isSignal(value) &&
+    typeof value.then !== "function"
+  ) {
+    report(
+      `<${tagName}> can't use ${
+        Array.isArray(value) ? "an array" : "an object"
+      } as the value of the "${key}" attribute`
+    );
+  }
+}